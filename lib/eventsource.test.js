@@ -0,0 +1,545 @@
+/**
+ * sse.js - A flexible EventSource polyfill/replacement.
+ * https://github.com/mpetazzoni/sse.js
+ *
+ * Copyright (C) 2016-2024 Maxime Petazzoni <maxime.petazzoni@bulix.org>.
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * =============================================================================
+ * Test Suite for the standards-compliant EventSource
+ * =============================================================================
+ *
+ * A subset of the web-platform-tests eventsource suite, ported to Jest:
+ * https://github.com/web-platform-tests/wpt/tree/master/eventsource
+ *
+ * The tests run against a local, in-process HTTP server standing in for the
+ * WPT resources. Test names refer to the WPT files they were ported from.
+ */
+
+import http from "node:http";
+
+import { SSE, SSEPool } from "sse.js";
+import { createMockSSE } from "sse.js/testing";
+
+const EventSource = SSE.EventSource;
+
+let server;
+let baseUrl;
+let handler;
+let requests;
+let sources;
+
+/**
+ * Serve an event stream like the WPT resources/message.py: the `message`,
+ * `mime` and `status` query parameters set the body, content type and
+ * status of the response, and `newline=none` drops the final blank line.
+ */
+function message(req, res) {
+  const params = new URL(req.url, baseUrl).searchParams;
+  res.writeHead(Number(params.get("status") || 200), {
+    "Content-Type": params.get("mime") || "text/event-stream",
+  });
+  res.end(
+    (params.has("message") ? params.get("message") : "data: data") +
+      (params.get("newline") === "none" ? "" : "\n\n")
+  );
+}
+
+function messageUrl(body, params) {
+  const query = new URLSearchParams(Object.assign({ message: body }, params));
+  return baseUrl + "/message?" + query;
+}
+
+function connect(url, eventSourceInitDict) {
+  const source = new EventSource(url, eventSourceInitDict);
+  sources.push(source);
+  return source;
+}
+
+function waitForEvent(source, type) {
+  return new Promise((resolve) => {
+    source.addEventListener(type, resolve);
+  });
+}
+
+function collect(source, count, type) {
+  return new Promise((resolve) => {
+    const events = [];
+    source.addEventListener(type || "message", (e) => {
+      events.push(e);
+      if (events.length === count) {
+        source.close();
+        resolve(events);
+      }
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req);
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  handler = message;
+  requests = [];
+  sources = [];
+});
+
+afterEach(() => {
+  sources.forEach((source) => source.close());
+});
+
+// =============================================================================
+// Installing the polyfill
+// =============================================================================
+
+describe("SSE.polyfill", () => {
+  afterEach(() => {
+    delete globalThis.EventSource;
+  });
+
+  it("should install EventSource where there is none", () => {
+    expect(typeof globalThis.EventSource).toBe("undefined");
+    expect(SSE.polyfill()).toBe(EventSource);
+    expect(globalThis.EventSource).toBe(EventSource);
+  });
+
+  it("should not replace a native EventSource unless forced", () => {
+    const native = function () {};
+    globalThis.EventSource = native;
+
+    expect(SSE.polyfill()).toBe(native);
+    expect(SSE.polyfill({ force: true })).toBe(EventSource);
+  });
+});
+
+// =============================================================================
+// WPT: constructor and attributes
+// =============================================================================
+
+describe("EventSource constructor", () => {
+  it("eventsource-constructor-basic: requires new and a URL", () => {
+    expect(() => EventSource(baseUrl)).toThrow(TypeError);
+    expect(() => new EventSource()).toThrow(TypeError);
+  });
+
+  it("eventsource-constructor-url-bogus: throws a SyntaxError", () => {
+    expect(() => new EventSource("http://this is invalid/")).toThrow(
+      expect.objectContaining({ name: "SyntaxError" })
+    );
+  });
+
+  it("eventsource-constructor-stringify: stringifies the URL", () => {
+    const source = connect(new URL(messageUrl("data: x")));
+    expect(source.url).toBe(messageUrl("data: x"));
+  });
+
+  it("eventsource-url: resolves the URL", () => {
+    const source = connect(baseUrl + "/a/../message");
+    expect(source.url).toBe(baseUrl + "/message");
+  });
+
+  it("eventsource-prototype: exposes the ready state constants", () => {
+    expect(EventSource.CONNECTING).toBe(0);
+    expect(EventSource.OPEN).toBe(1);
+    expect(EventSource.CLOSED).toBe(2);
+
+    const source = connect(messageUrl("data: x"));
+    expect(source).toBeInstanceOf(EventSource);
+    expect(source.CONNECTING).toBe(0);
+    expect(source.OPEN).toBe(1);
+    expect(source.CLOSED).toBe(2);
+  });
+
+  it("eventsource-constructor-non-same-origin: starts connecting", () => {
+    const source = connect(messageUrl("data: x"));
+    expect(source.readyState).toBe(EventSource.CONNECTING);
+    expect(source.withCredentials).toBe(false);
+    expect(source.onopen).toBeNull();
+    expect(source.onmessage).toBeNull();
+    expect(source.onerror).toBeNull();
+  });
+
+  it("eventsource-request-credentials: reflects withCredentials", () => {
+    const source = connect(messageUrl("data: x"), { withCredentials: true });
+    expect(source.withCredentials).toBe(true);
+  });
+});
+
+// =============================================================================
+// WPT: connection lifecycle
+// =============================================================================
+
+describe("EventSource lifecycle", () => {
+  it("eventsource-onopen: announces the connection", async () => {
+    const source = connect(messageUrl("data: x"));
+    const open = await new Promise((resolve) => {
+      source.onopen = (e) => resolve([e, source.readyState]);
+    });
+
+    expect(open[0]).toBeInstanceOf(Event);
+    expect(open[0].type).toBe("open");
+    expect(open[0].bubbles).toBe(false);
+    expect(open[0].cancelable).toBe(false);
+    expect(open[1]).toBe(EventSource.OPEN);
+  });
+
+  it("eventsource-onmessage: dispatches a MessageEvent", async () => {
+    const source = connect(baseUrl + "/message");
+    const e = await new Promise((resolve) => {
+      source.onmessage = resolve;
+    });
+
+    expect(e).toBeInstanceOf(MessageEvent);
+    expect(e.type).toBe("message");
+    expect(e.data).toBe("data");
+    expect(e.origin).toBe(baseUrl);
+    expect(e.lastEventId).toBe("");
+  });
+
+  it("eventsource-eventtarget: supports addEventListener", async () => {
+    const source = connect(baseUrl + "/message");
+    const e = await waitForEvent(source, "message");
+    expect(e.data).toBe("data");
+  });
+
+  it("eventsource-close: closes the connection without events", async () => {
+    const source = connect(baseUrl + "/message");
+    await waitForEvent(source, "open");
+    const onerror = jest.fn();
+    source.onerror = onerror;
+    source.close();
+
+    expect(source.readyState).toBe(EventSource.CLOSED);
+    await delay(50);
+    expect(onerror).not.toHaveBeenCalled();
+  });
+
+  it("eventsource-reconnect: reconnects when the stream ends", async () => {
+    const source = connect(messageUrl("retry: 10\ndata: x"));
+    const states = [];
+    source.onerror = () => states.push(source.readyState);
+    const events = await collect(source, 2, "open");
+
+    expect(events).toHaveLength(2);
+    expect(states).toStrictEqual([EventSource.CONNECTING]);
+    expect(requests).toHaveLength(2);
+  });
+
+  it("eventsource-reconnect: reconnects after a network error", async () => {
+    handler = (req, res) => {
+      if (requests.length === 1) {
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        res.write("retry: 10\n\n");
+        setTimeout(() => res.socket.destroy(), 10);
+      } else {
+        message(req, res);
+      }
+    };
+
+    const source = connect(baseUrl + "/message");
+    const error = await waitForEvent(source, "error");
+    expect(source.readyState).toBe(EventSource.CONNECTING);
+    expect(error.type).toBe("error");
+
+    const e = await waitForEvent(source, "message");
+    expect(e.data).toBe("data");
+  });
+
+  it("eventsource-close: close() from onerror stops reconnecting", async () => {
+    const source = connect(messageUrl("retry: 10\ndata: x"));
+    await new Promise((resolve) => {
+      source.onerror = () => {
+        source.close();
+        resolve();
+      };
+    });
+
+    expect(source.readyState).toBe(EventSource.CLOSED);
+    await delay(50);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("request-accept: sends the Accept header", async () => {
+    const source = connect(baseUrl + "/message");
+    await waitForEvent(source, "open");
+    expect(requests[0].method).toBe("GET");
+    expect(requests[0].headers.accept).toBe("text/event-stream");
+    expect(requests[0].headers["last-event-id"]).toBeUndefined();
+  });
+
+  it("eventsource-request-lastEventId: sends Last-Event-ID on reconnection", async () => {
+    const source = connect(messageUrl("retry: 10\nid: 1\ndata: x"));
+    await collect(source, 2, "open");
+
+    expect(requests[1].headers["last-event-id"]).toBe("1");
+  });
+});
+
+// =============================================================================
+// WPT: response status and content type
+// =============================================================================
+
+describe("EventSource responses", () => {
+  async function expectFailure(url) {
+    const source = connect(url);
+    const onopen = jest.fn();
+    source.onopen = onopen;
+    await waitForEvent(source, "error");
+
+    expect(source.readyState).toBe(EventSource.CLOSED);
+    await delay(50);
+    expect(onopen).not.toHaveBeenCalled();
+    expect(requests).toHaveLength(1);
+  }
+
+  [204, 205, 210, 299, 404, 410, 503].forEach((status) => {
+    it(`request-status-error: fails the connection on ${status}`, () =>
+      expectFailure(messageUrl("retry: 10\ndata: x", { status })));
+  });
+
+  it("format-mime-bogus: fails the connection", () =>
+    expectFailure(messageUrl("retry: 10\ndata: x", { mime: "x/bogus" })));
+
+  it("format-mime-trailing-semicolon: opens the connection", async () => {
+    const source = connect(
+      messageUrl("data: x", { mime: "text/event-stream;" })
+    );
+    const e = await waitForEvent(source, "message");
+    expect(e.data).toBe("x");
+  });
+
+  it("format-mime-valid-param: opens the connection", async () => {
+    const source = connect(
+      messageUrl("data: x", { mime: "text/event-stream;charset=UTF-8" })
+    );
+    const e = await waitForEvent(source, "message");
+    expect(e.data).toBe("x");
+  });
+});
+
+// =============================================================================
+// WPT: event stream format
+// =============================================================================
+
+describe("EventSource format", () => {
+  async function expectData(body, expected, params) {
+    const source = connect(messageUrl(body, params));
+    const events = await collect(source, expected.length);
+    expect(events.map((e) => e.data)).toStrictEqual(expected);
+    return events;
+  }
+
+  it("format-bom: only strips the first BOM", () =>
+    expectData("\uFEFFdata:1\n\n\uFEFFdata:2\n\ndata:3", ["1", "3"]));
+
+  it("format-bom-2: only strips one BOM", () =>
+    expectData("\uFEFF\uFEFFdata:1\n\ndata:2\n\ndata:3", ["2", "3"]));
+
+  it("format-comments: ignores comments", () =>
+    expectData(":\n\n:\n:\ndata:1\n:\n:\ndata:2\n:\n\n:\ndata:3\n:\n\n", [
+      "1\n2",
+      "3",
+    ]));
+
+  it("format-data-before-final-empty-line: discards incomplete events", async () => {
+    const source = connect(
+      messageUrl("retry: 10\ndata:test1\n\nid:test\ndata:test2", {
+        newline: "none",
+      })
+    );
+    const events = await collect(source, 2);
+
+    expect(events.map((e) => e.data)).toStrictEqual(["test1", "test1"]);
+    expect(requests[1].headers["last-event-id"]).toBeUndefined();
+  });
+
+  it("format-field-data: handles empty and bare data fields", () =>
+    expectData("data:\n\ndata\ndata\n\ndata:test", ["", "\n", "test"]));
+
+  it("format-field-event: sets the event type", async () => {
+    const source = connect(messageUrl("event:test\ndata:x\n\ndata:x"));
+    const test = waitForEvent(source, "test");
+    const e = await waitForEvent(source, "message");
+
+    expect((await test).data).toBe("x");
+    expect((await test).type).toBe("test");
+    expect(e.type).toBe("message");
+  });
+
+  it("format-field-event-empty: defaults to message", () =>
+    expectData("event: \ndata:data", ["data"]));
+
+  it("format-field-id: sets the last event ID", async () => {
+    const events = await expectData("id: 1\ndata: x\n\ndata: y", ["x", "y"]);
+    expect(events.map((e) => e.lastEventId)).toStrictEqual(["1", "1"]);
+  });
+
+  it("format-field-id-2: resets the last event ID", async () => {
+    const events = await expectData("id:1\ndata:x\n\nid:\ndata:y", ["x", "y"]);
+    expect(events.map((e) => e.lastEventId)).toStrictEqual(["1", ""]);
+  });
+
+  it("format-field-id-null: ignores IDs containing NULL", async () => {
+    const events = await expectData("id:1\ndata:x\n\nid:a\u0000b\ndata:y", [
+      "x",
+      "y",
+    ]);
+    expect(events.map((e) => e.lastEventId)).toStrictEqual(["1", "1"]);
+  });
+
+  it("format-field-parse: parses field names strictly", () =>
+    expectData(
+      "data:\u0000\ndata:  2\rData:1\ndata\u0000:2\ndata:1\r\u0000data:4\nda-ta:3\rdata_5\ndata:3\rdata:\r\n data:32\ndata:4\n",
+      ["\u0000\n 2\n1\n3\n\n4"]
+    ));
+
+  it("format-field-retry: sets the reconnection time", async () => {
+    const source = connect(messageUrl("retry:00010\ndata:x"));
+    await collect(source, 2, "open");
+    expect(source.reconnectDelay).toBe(10);
+  });
+
+  it("format-field-retry-bogus: ignores invalid reconnection times", async () => {
+    const source = connect(messageUrl("retry:10\nretry:1000x\ndata:x"));
+    await collect(source, 2, "open");
+    expect(source.reconnectDelay).toBe(10);
+  });
+
+  it("format-field-unknown: ignores unknown fields", () =>
+    expectData(
+      "data:test\n data\ndata\nfoobar:xxx\njustsometext\n:thisisacommentyay\ndata:test",
+      ["test\n\ntest"]
+    ));
+
+  it("format-leading-space: only strips one leading space", () =>
+    expectData("data:\u0020\u0020test", ["\u0020test"]));
+
+  it("format-newlines: accepts CR, LF and CRLF", () =>
+    expectData("data:test\r\ndata\ndata:test\r\n\r", ["test\n\ntest"], {
+      newline: "none",
+    }));
+
+  it("format-null-character: keeps NULL characters", () =>
+    expectData("data:\u0000\n\n\n\n", ["\u0000"]));
+
+  it("format-utf-8: decodes UTF-8", () =>
+    expectData("data:ok\u2026", ["ok\u2026"]));
+});
+
+// =============================================================================
+// SSE in strict mode
+// =============================================================================
+
+describe("SSE in strict mode", () => {
+  function strict(url, options) {
+    const source = new SSE(url, Object.assign({ strict: true }, options));
+    sources.push(source);
+    return source;
+  }
+
+  it("should resolve ready() once open", async () => {
+    const source = strict(messageUrl("data: x"));
+    const result = await source.ready();
+
+    expect(result.responseCode).toBe(200);
+    expect(result.headers["content-type"]).toStrictEqual(["text/event-stream"]);
+  });
+
+  it("should resolve closed once closed", async () => {
+    const source = strict(messageUrl("data: x"));
+    await waitForEvent(source, "message");
+    const closed = source.closed;
+    source.close();
+
+    await expect(closed).resolves.toBeUndefined();
+  });
+
+  it("should finish the iteration once closed", async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write("data: x\n\n");
+    };
+    const source = strict(baseUrl + "/stream");
+    const received = [];
+    for await (const event of source) {
+      received.push(event.data);
+      source.close();
+    }
+
+    expect(received).toStrictEqual(["x"]);
+  });
+
+  it("should forget pooled streams once closed", async () => {
+    const pool = new SSEPool();
+    const subscription = pool.subscribe(messageUrl("data: x"), {
+      strict: true,
+      autoReconnect: false,
+    });
+    sources.push(subscription.source);
+    subscription.addEventListener("message", () => {});
+    await waitForEvent(subscription.source, "error");
+
+    expect(subscription.source.readyState).toBe(SSE.CLOSED);
+    expect(pool.entries).toStrictEqual({});
+  });
+
+  it("should use the origin of a dynamic URL", async () => {
+    const source = strict(() => messageUrl("data: x"));
+    const e = await waitForEvent(source, "message");
+
+    expect(e.origin).toBe(baseUrl);
+  });
+
+  it("should resolve the origin of a relative URL", () => {
+    globalThis.location = { href: "https://example.com/app/" };
+    try {
+      const mock = createMockSSE("/events", { strict: true });
+      sources.push(mock.sse);
+      const onMessage = jest.fn();
+      mock.sse.addEventListener("message", onMessage);
+      mock.connection.send({ data: "x" });
+
+      expect(onMessage.mock.calls[0][0].origin).toBe("https://example.com");
+    } finally {
+      delete globalThis.location;
+    }
+  });
+
+  it("should not fail when the origin can't be resolved", () => {
+    const mock = createMockSSE("/events", { strict: true });
+    sources.push(mock.sse);
+    const onMessage = jest.fn();
+    mock.sse.addEventListener("message", onMessage);
+    mock.connection.send({ data: "x" });
+
+    expect(onMessage.mock.calls[0][0].data).toBe("x");
+    expect(onMessage.mock.calls[0][0].origin).toBe("");
+  });
+});
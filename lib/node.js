@@ -0,0 +1,276 @@
+/**
+ * sse.js - A flexible EventSource polyfill/replacement.
+ * https://github.com/mpetazzoni/sse.js
+ *
+ * Copyright (C) 2016-2024 Maxime Petazzoni <maxime.petazzoni@bulix.org>.
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Node.js entry point. Registers a transport built on node:http/node:https
+ * that SSE picks automatically when XMLHttpRequest is not available.
+ */
+
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import tls from "node:tls";
+
+import {
+  SSE,
+  SSEPool,
+  SSEParser,
+  SSEWriter,
+  SSERecorder,
+  formatEvent,
+  formatComment,
+  createReplayTransport,
+} from "./sse.js";
+
+/**
+ * Build a map of lowercased header names to arrays of header values from
+ * the raw header list of a response.
+ *
+ * @param {string[]} rawHeaders
+ * @return {Object.<string, string[]>}
+ */
+function collectHeaders(rawHeaders) {
+  const headers = {};
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const key = rawHeaders[i].toLowerCase();
+    headers[key] = headers[key] || [];
+    headers[key].push(rawHeaders[i + 1]);
+  }
+  return headers;
+}
+
+/**
+ * Serialize the request payload into something that can be written to a
+ * Node.js request.
+ *
+ * @param {SSEPayload} payload
+ * @return {string | Uint8Array | null}
+ */
+function serializePayload(payload) {
+  if (payload === null || payload === undefined || payload === "") {
+    return null;
+  }
+  if (typeof payload === "string" || payload instanceof Uint8Array) {
+    return payload;
+  }
+  if (payload instanceof ArrayBuffer) {
+    return new Uint8Array(payload);
+  }
+  if (ArrayBuffer.isView(payload)) {
+    return new Uint8Array(
+      payload.buffer,
+      payload.byteOffset,
+      payload.byteLength
+    );
+  }
+  return String(payload);
+}
+
+/**
+ * Build the options for http.request()/https.request(), taking the agent,
+ * TLS and proxy transport options into account.
+ *
+ * @param {URL} target
+ * @param {SSETransportRequest} request
+ * @param {SSENodeTransportOptions} options
+ * @return {Object}
+ */
+function requestOptions(target, request, options) {
+  const secure = target.protocol === "https:";
+  const result = Object.assign({}, secure ? options.tls : null, {
+    method: request.method,
+    protocol: target.protocol,
+    hostname: target.hostname.replace(/^\[(.*)\]$/, "$1"),
+    port: target.port || (secure ? 443 : 80),
+    path: target.pathname + target.search,
+    headers: Object.assign({}, request.headers),
+  });
+  if (options.agent !== undefined) {
+    result.agent = options.agent;
+  }
+
+  if (!options.proxy) {
+    return result;
+  }
+
+  const proxy = new URL(options.proxy);
+  const proxyHeaders = {};
+  if (proxy.username || proxy.password) {
+    const credentials =
+      decodeURIComponent(proxy.username) +
+      ":" +
+      decodeURIComponent(proxy.password);
+    proxyHeaders["Proxy-Authorization"] =
+      "Basic " + Buffer.from(credentials).toString("base64");
+  }
+
+  if (!secure) {
+    // Plain HTTP requests are sent to the proxy with an absolute URI.
+    return Object.assign(result, {
+      protocol: "http:",
+      hostname: proxy.hostname,
+      port: proxy.port || 80,
+      path: target.href,
+      headers: Object.assign(result.headers, proxyHeaders),
+    });
+  }
+
+  // HTTPS requests are tunneled through the proxy with CONNECT. Without an
+  // agent, the request opens its socket with createConnection.
+  const authority = result.hostname + ":" + result.port;
+  delete result.agent;
+  result.createConnection = function (connectOptions, callback) {
+    http
+      .request({
+        method: "CONNECT",
+        hostname: proxy.hostname,
+        port: proxy.port || 80,
+        path: authority,
+        headers: Object.assign({ Host: authority }, proxyHeaders),
+      })
+      .on("connect", function (res, socket) {
+        if (res.statusCode !== 200) {
+          socket.destroy();
+          callback(
+            new Error(`Proxy CONNECT to ${authority} failed: ${res.statusCode}`)
+          );
+          return;
+        }
+        callback(
+          null,
+          tls.connect(
+            Object.assign({}, connectOptions, {
+              socket: socket,
+              // SNI doesn't allow IP addresses.
+              servername:
+                connectOptions.servername ||
+                (net.isIP(result.hostname) ? undefined : result.hostname),
+            })
+          )
+        );
+      })
+      .on("error", callback)
+      .end();
+  };
+  return result;
+}
+
+/**
+ * node:http/node:https-based transport. The transport options accept an
+ * `agent`, `tls` options for HTTPS connections (ca, cert, key,
+ * rejectUnauthorized, ...) and the URL of an HTTP `proxy`.
+ *
+ * @type SSETransportFactory
+ */
+function nodeTransport(request, handlers) {
+  const options = request.options || {};
+  const target = new URL(request.url);
+  const client = target.protocol === "https:" ? https : http;
+  let finished = false;
+
+  // Only ever report one terminal outcome for the request.
+  const finish = function (callback) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    callback();
+  };
+
+  const req = client.request(
+    requestOptions(target, request, options),
+    function (res) {
+      handlers.onResponse(res.statusCode, collectHeaders(res.rawHeaders));
+      res.setEncoding("utf8");
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        let body = "";
+        res.on("data", function (data) {
+          body += data;
+        });
+        res.on("end", function () {
+          finish(() => handlers.onError(res.statusCode, body));
+        });
+        return;
+      }
+
+      res.on("data", function (data) {
+        if (!finished) {
+          handlers.onData(data);
+        }
+      });
+      res.on("end", function () {
+        finish(() => handlers.onEnd());
+      });
+      res.on("close", function () {
+        if (!res.complete) {
+          finish(() => handlers.onError(res.statusCode, null));
+        }
+      });
+    }
+  );
+
+  req.on("error", function (error) {
+    finish(() => handlers.onError(0, error));
+  });
+
+  const body = serializePayload(request.payload);
+  if (body !== null) {
+    req.end(body);
+  } else {
+    req.end();
+  }
+
+  return {
+    request: req,
+    abort: function () {
+      finish(() => {
+        req.destroy();
+        handlers.onAbort();
+      });
+    },
+  };
+}
+
+SSE.transports.node = nodeTransport;
+
+export {
+  SSE,
+  SSEPool,
+  SSEParser,
+  SSEWriter,
+  SSERecorder,
+  formatEvent,
+  formatComment,
+  createReplayTransport,
+  nodeTransport,
+};
+
+/**
+ * @typedef {import("./sse.js").SSEPayload} SSEPayload
+ * @typedef {import("./sse.js").SSETransportRequest} SSETransportRequest
+ * @typedef {import("./sse.js").SSETransportFactory} SSETransportFactory
+ */
+/**
+ * @typedef {Object} SSENodeTransportOptions
+ * @property {http.Agent | false} [agent] - agent to make the request with
+ * @property {tls.ConnectionOptions} [tls] - TLS options for HTTPS requests
+ * @property {string} [proxy] - URL of the HTTP proxy to connect through
+ */
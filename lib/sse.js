@@ -20,7 +20,7 @@
 
 /**
  * @type SSE
- * @param {string} url
+ * @param {SSEDynamic<string>} url
  * @param {SSEOptions} options
  * @return {SSE}
  */
@@ -29,7 +29,7 @@ var SSE = function (url, options) {
     return new SSE(url, options);
   }
 
-  /** @type {string} */
+  /** @type {SSEDynamic<string>} */
   this.url = url;
 
   options = options || {};
@@ -39,13 +39,31 @@ var SSE = function (url, options) {
   this.withCredentials = !!options.withCredentials;
   this.debug = !!options.debug;
 
+  /**
+   * Follow the WHATWG EventSource semantics exactly, see SSE.EventSource.
+   * @type {boolean}
+   */
+  this.strict = !!options.strict;
+
   /** @type {boolean} */
   this.autoReconnect =
-    options.autoReconnect !== undefined ? options.autoReconnect : false;
+    options.autoReconnect !== undefined ? options.autoReconnect : this.strict;
+
+  /** @type {SSEBackoff|null} */
+  this.backoff = options.backoff
+    ? Object.assign(
+        { multiplier: 2, maxDelay: 30000, jitter: "full" },
+        options.backoff
+      )
+    : null;
 
   /** @type {number} */
   this.reconnectDelay =
-    options.reconnectDelay !== undefined ? options.reconnectDelay : 3000;
+    this.backoff && this.backoff.initialDelay !== undefined
+      ? this.backoff.initialDelay
+      : options.reconnectDelay !== undefined
+      ? options.reconnectDelay
+      : 3000;
 
   /** @type {number|null} */
   this.maxRetries =
@@ -57,39 +75,301 @@ var SSE = function (url, options) {
   /** @type {number|null} */
   this.reconnectTimer = null;
 
+  /** @type {number|null} */
+  this._previousReconnectDelay = null;
+
   /** @type {boolean} */
   this.useLastEventId =
     options.useLastEventId !== undefined ? options.useLastEventId : true;
 
+  /** @type {number|null} */
+  this.maxResponseSize =
+    options.maxResponseSize !== undefined ? options.maxResponseSize : null;
+
+  /** @type {number|null} */
+  this.idleTimeout =
+    options.idleTimeout !== undefined ? options.idleTimeout : null;
+
+  /** @type {number|null} */
+  this.idleTimer = null;
+
+  /** @type {SSEAuthErrorHandler|null} */
+  this.onAuthError = options.onAuthError || null;
+
+  /** @type {SSEDecode|null} */
+  this.decode = options.decode || null;
+
+  /** @type {SSEMetricHandler|null} */
+  this.onMetric = options.onMetric || null;
+
+  /** @type {SSELogger|null} */
+  this.logger = options.logger || (this.debug ? console : null);
+
+  /** @type {SSELogLevel} */
+  this.logLevel = options.logLevel || (this.debug ? "debug" : "info");
+  if (!LOG_LEVELS.hasOwnProperty(this.logLevel)) {
+    throw new Error(`Unknown SSE log level: ${this.logLevel}`);
+  }
+
+  /** @type {string[]} */
+  this.redactHeaders = options.redactHeaders || [
+    "Authorization",
+    "Cookie",
+    "Proxy-Authorization",
+  ];
+
+  /** @type {AbortSignal|null} */
+  this.signal = options.signal || null;
+  /**
+   * Listener closing the stream when the signal is aborted, until the
+   * stream is closed.
+   * @type {(() => void)|null}
+   */
+  this._onSignalAbort = null;
+
+  /** @type {SSECrossTabOptions|null} */
+  this.crossTab = options.crossTab
+    ? Object.assign(
+        {
+          channel: typeof url === "string" ? "sse.js:" + url : null,
+          heartbeatInterval: 1000,
+          leaderTimeout: 3000,
+        },
+        options.crossTab === true ? {} : options.crossTab
+      )
+    : null;
+  if (this.crossTab && !this.crossTab.channel) {
+    throw new Error("A crossTab channel name is required with a dynamic url");
+  }
+
+  /** @type {boolean} */
+  this.isLeader = false;
+
+  /** @type {SSEBatchOptions|null} */
+  this.batch = options.batch
+    ? Object.assign(
+        { schedule: "animationFrame", maxSize: Infinity, mode: "events" },
+        options.batch === true ? {} : options.batch
+      )
+    : null;
+  if (
+    this.batch &&
+    typeof this.batch.schedule !== "number" &&
+    ["animationFrame", "microtask"].indexOf(this.batch.schedule) === -1
+  ) {
+    throw new Error(`Unknown SSE batch schedule: ${this.batch.schedule}`);
+  }
+
+  /** @type {string[] | SSECoalesceKey | null} */
+  this.coalesce = options.coalesce || null;
+
+  /** @type {boolean} */
+  this.pauseWhenOffline = !!options.pauseWhenOffline;
+
+  /** @type {number|null} */
+  this.pauseWhenHidden =
+    options.pauseWhenHidden === true
+      ? 0
+      : typeof options.pauseWhenHidden === "number"
+      ? options.pauseWhenHidden
+      : null;
+
+  /** @type {SSEPauseReason|null} */
+  this.paused = null;
+
+  /** @type {SSEDedupeOptions|null} */
+  this.dedupe = null;
+  if (options.dedupe) {
+    const dedupe = options.dedupe === true ? {} : options.dedupe;
+    this.dedupe = Object.assign(
+      { maxSize: dedupe.window ? Infinity : 1000, window: null },
+      dedupe
+    );
+  }
+
+  /** @type {SSEPersistence|null} */
+  this.persistence = null;
+  if (options.persistence) {
+    const persistence =
+      typeof options.persistence === "string" ||
+      typeof options.persistence.get === "function"
+        ? { storage: options.persistence }
+        : options.persistence;
+    const storage =
+      typeof persistence.storage === "string"
+        ? SSE.storages[persistence.storage]
+        : persistence.storage;
+    if (!storage) {
+      throw new Error(
+        `Unknown SSE persistence storage: ${persistence.storage}`
+      );
+    }
+    const key =
+      persistence.key ||
+      (typeof url === "string" ? "sse.js:lastEventId:" + url : null);
+    if (!key) {
+      throw new Error("A persistence key is required with a dynamic url");
+    }
+    this.persistence = { storage: storage, key: key };
+  }
+
+  /** @type {SSETransportName | SSETransportFactory | null} */
+  this.transport = options.transport || null;
+
+  /** @type {Object} */
+  this.transportOptions = options.transportOptions || {};
+
   /** @type {string} */
   this.FIELD_SEPARATOR = ":";
 
   /** @type { {[key: string]: [EventListener]} } */
   this.listeners = {};
+  /**
+   * Functions detaching the abort signal of a listener from its
+   * registration, by event type and listener.
+   * @type {Object.<string, Map<Function, Function>>}
+   */
+  this._listenerSignals = {};
 
+  /** @type {SSEConnection} */
+  this.connection = null;
   /** @type {XMLHttpRequest} */
   this.xhr = null;
-  /** @type {number} */
-  this.readyState = SSE.INITIALIZING;
+  /**
+   * EventSource starts in the CONNECTING state; streams started later stay
+   * INITIALIZING until then, so that they can be started lazily.
+   * @type {number}
+   */
+  this.readyState =
+    this.strict && (options.start === undefined || options.start)
+      ? SSE.CONNECTING
+      : SSE.INITIALIZING;
   /** @type {number} */
   this.progress = 0;
   /** @type {string} */
-  this.chunk = "";
-  /** @type {string} */
   this.lastEventId = "";
+  /** @type {SSEParser} */
+  this._parser = new SSEParser({
+    onEvent: (event) => {
+      this._resumable = event.id !== null;
+      this._dispatchStreamEvent(this._createStreamEvent(event));
+    },
+    onRetry: (delay) => {
+      this.reconnectDelay = delay;
+    },
+    onLastEventId: (lastEventId) => {
+      this._resumable = true;
+      this.lastEventId = lastEventId;
+      this._persistLastEventId();
+    },
+    // EventSource discards incomplete events.
+    dispatchIncomplete: !this.strict,
+  });
+  /**
+   * Received text that doesn't form a complete event yet.
+   * @type {string}
+   */
+  Object.defineProperty(this, "chunk", {
+    get: function () {
+      return this._parser.buffer;
+    },
+    set: function (value) {
+      this._parser.buffer = value;
+    },
+  });
+  /** @type {number} */
+  this._connectionId = 0;
+  /** @type {boolean} */
+  this._cycling = false;
+  /**
+   * Whether the last event received set lastEventId, so that resuming from
+   * it neither repeats nor skips events.
+   * @type {boolean}
+   */
+  this._resumable = false;
+  /** @type {SSEHeaders} */
+  this._authHeaders = {};
+  /** @type {boolean} */
+  this._authRefreshed = false;
+  /** @type {SSEReadyResult|null} */
+  this._openResult = null;
+  /**
+   * Origin of the URL of the current connection, for strict mode messages.
+   * @type {string}
+   */
+  this._origin = "";
+  /**
+   * Internal listeners to ready state changes, notified even in strict mode
+   * where readystatechange isn't dispatched.
+   * @type {((readyState: number) => void)[]}
+   */
+  this._readyStateListeners = [];
+  /** @type {SSETabCoordinator|null} */
+  this._tabs = null;
+  /** @type {boolean} */
+  this._restored = false;
+  /**
+   * Recently seen event IDs, with the time they were first seen, in that
+   * order. Kept across reconnections.
+   * @type {Map<string, number>}
+   */
+  this._seenIds = new Map();
+  /** @type {SSEvent[]} */
+  this._batchQueue = [];
+  /** @type {boolean} */
+  this._batchScheduled = false;
+  /** @type {WeakMap<SSEvent, string|null>} */
+  this._coalesceKeys = new WeakMap();
+  /** @type {number|null} */
+  this._connectStartedAt = null;
+  /** @type {number|null} */
+  this._lastByteAt = null;
+  /** @type {number|null} */
+  this._logConnectionId = null;
+  /** @type {string|null} */
+  this._logUrl = typeof url === "string" ? url : null;
+  /** @type {Object} */
+  this._stats = {
+    bytesReceived: 0,
+    eventsDispatched: {},
+    timeToOpen: null,
+    reconnectAttempts: 0,
+    reconnectReasons: {},
+    lastReconnectReason: null,
+    backoffDelay: null,
+  };
   /** @type {boolean} */
-  this._hasParsedBom = false;
+  this._offline = false;
+  /** @type {number|null} */
+  this._hiddenTimer = null;
+  /** @type {Array<[EventTarget, string, EventListener]>|null} */
+  this._environmentListeners = null;
 
   /**
    * @type AddEventListener
    */
-  this.addEventListener = function (type, listener) {
+  this.addEventListener = function (type, listener, options) {
+    const signal = options && typeof options === "object" && options.signal;
+    if (signal && signal.aborted) {
+      return;
+    }
+
     if (this.listeners[type] === undefined) {
       this.listeners[type] = [];
     }
 
     if (this.listeners[type].indexOf(listener) === -1) {
       this.listeners[type].push(listener);
+      if (signal) {
+        const onAbort = () => this.removeEventListener(type, listener);
+        signal.addEventListener("abort", onAbort, { once: true });
+        if (this._listenerSignals[type] === undefined) {
+          this._listenerSignals[type] = new Map();
+        }
+        this._listenerSignals[type].set(listener, () =>
+          signal.removeEventListener("abort", onAbort)
+        );
+      }
     }
   };
 
@@ -97,6 +377,17 @@ var SSE = function (url, options) {
    * @type RemoveEventListener
    */
   this.removeEventListener = function (type, listener) {
+    // The signal of this registration must not remove a listener added
+    // again later.
+    const signals = this._listenerSignals[type];
+    if (signals !== undefined && signals.has(listener)) {
+      signals.get(listener)();
+      signals.delete(listener);
+      if (signals.size === 0) {
+        delete this._listenerSignals[type];
+      }
+    }
+
     if (this.listeners[type] === undefined) {
       return;
     }
@@ -122,14 +413,20 @@ var SSE = function (url, options) {
       return true;
     }
 
-    if (this.debug) {
-      console.debug(e);
-    }
+    this._log("debug", "SSE event dispatched", {
+      eventType: e.type,
+      id: e.id !== undefined ? e.id : null,
+    });
 
-    e.source = this;
+    if (!this.strict) {
+      e.source = this;
+    }
+    this._stats.eventsDispatched[e.type] =
+      (this._stats.eventsDispatched[e.type] || 0) + 1;
+    this._metric("event", 1, { type: e.type });
 
     const onHandler = "on" + e.type;
-    if (this.hasOwnProperty(onHandler)) {
+    if (this.hasOwnProperty(onHandler) && this[onHandler]) {
       this[onHandler].call(this, e);
       if (e.defaultPrevented) {
         return false;
@@ -146,284 +443,3107 @@ var SSE = function (url, options) {
     return true;
   };
 
-  /** @private */
-  this._markClosed = function () {
-    this.xhr = null;
-    this.progress = 0;
-    this.chunk = "";
-    this._setReadyState(SSE.CLOSED);
+  /**
+   * @private
+   * @param {SSECloseReason} reason - why the connection was closed
+   */
+  this._markClosed = function (reason) {
+    this._log("info", "SSE connection closed", { reason: reason });
+    this._resetConnection();
+    this._authRefreshed = false;
 
-    // If autoReconnect is enabled, attempt to reconnect after the delay
-    if (this.autoReconnect) {
-      // Check if we've hit the max retries
-      if (this.maxRetries !== null && this.retryCount >= this.maxRetries) {
-        if (this.debug) {
-          console.debug(
-            `SSE max retries (${this.maxRetries}) reached, stopping reconnection attempts`
-          );
-        }
+    // If autoReconnect is enabled, schedule a reconnection attempt before
+    // announcing the CLOSED state, so listeners can tell whether a reconnect
+    // is pending from reconnectTimer.
+    let delay = null;
+    if (this.autoReconnect && !this.paused) {
+      if (this.pauseWhenOffline && this._offline) {
+        // Don't spend reconnection attempts while the network is down.
+        this._pause("offline");
+      } else if (
+        this.maxRetries !== null &&
+        this.retryCount >= this.maxRetries
+      ) {
+        // We've hit the max retries
+        this._log("warn", "SSE max retries reached, not reconnecting", {
+          reason: reason,
+          maxRetries: this.maxRetries,
+        });
         this.autoReconnect = false;
+        this._endCrossTab();
         this.close(); // Ensure connection is fully closed
-        return;
+      } else {
+        delay = this._scheduleReconnect();
+        this._stats.reconnectReasons[reason] =
+          (this._stats.reconnectReasons[reason] || 0) + 1;
+        this._stats.lastReconnectReason = reason;
+        this._stats.backoffDelay = delay;
+        this._metric("reconnect", delay, {
+          reason: reason,
+          attempt: this.retryCount + 1,
+        });
       }
+    }
 
-      if (this.reconnectTimer) {
-        clearTimeout(this.reconnectTimer);
-      }
+    if (this._reconnectPending()) {
+      this._relay({ type: "connecting" });
+    } else {
+      this._endCrossTab();
+      this._removeEnvironmentListeners();
+    }
 
-      if (this.debug) {
-        console.debug(
-          `SSE will attempt to reconnect in ${this.reconnectDelay}ms (attempt ${
-            this.retryCount + 1
-          }${this.maxRetries ? "/" + this.maxRetries : ""})`
-        );
+    if (this.strict) {
+      // EventSource only announces reconnections and failures, with an
+      // error event once the ready state has changed.
+      this._setReadyState(
+        this._reconnectPending() ? SSE.CONNECTING : SSE.CLOSED
+      );
+      if (reason !== "abort") {
+        this.dispatchEvent(createEvent("error"));
       }
+      return;
+    }
+
+    this._setReadyState(SSE.CLOSED);
 
-      this.reconnectTimer = setTimeout(() => {
-        this.reconnectTimer = null;
-        this.retryCount++;
-        this.stream();
-      }, this.reconnectDelay);
+    if (delay !== null && this.reconnectTimer) {
+      const event = createEvent("reconnecting");
+      event.delay = delay;
+      event.attempt = this.retryCount + 1;
+      this.dispatchEvent(event);
     }
   };
 
-  /** @private */
-  this._setReadyState = function (state) {
-    const event = new CustomEvent("readystatechange");
-    event.readyState = state;
-    this.readyState = state;
+  /**
+   * Whether the stream is closed but will be reopened, either by a scheduled
+   * reconnection or when it is resumed.
+   * @private
+   * @return {boolean}
+   */
+  this._reconnectPending = function () {
+    return !!this.reconnectTimer || this.paused !== null;
+  };
+
+  /**
+   * Suspend reconnection until the stream is resumed.
+   * @private
+   * @param {SSEPauseReason} reason
+   */
+  this._pause = function (reason) {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.paused = reason;
+    this._log("info", "SSE paused", { reason: reason });
+
+    const event = createEvent("pause");
+    event.reason = reason;
     this.dispatchEvent(event);
   };
 
-  this._onStreamFailure = function (e) {
-    const event = new CustomEvent("error");
-    event.responseCode = e.currentTarget.status;
-    event.data = e.currentTarget.response;
+  /** @private */
+  this._resume = function () {
+    this._log("info", "SSE resumed", { reason: this.paused });
+    const event = createEvent("resume");
+    event.reason = this.paused;
+    this.paused = null;
     this.dispatchEvent(event);
-    this._markClosed();
+    this.stream();
   };
 
-  this._onStreamAbort = function () {
-    this.dispatchEvent(new CustomEvent("abort"));
-    this._markClosed();
+  /**
+   * Listen to the network and page visibility changes, as configured by the
+   * pauseWhenOffline and pauseWhenHidden options.
+   * @private
+   */
+  this._addEnvironmentListeners = function () {
+    if (this._environmentListeners) {
+      return;
+    }
+    this._environmentListeners = [];
+    const listen = (target, type, listener) => {
+      target.addEventListener(type, listener);
+      this._environmentListeners.push([target, type, listener]);
+    };
+
+    if (
+      this.pauseWhenOffline &&
+      typeof globalThis.addEventListener === "function"
+    ) {
+      this._offline =
+        typeof navigator !== "undefined" && navigator.onLine === false;
+      listen(globalThis, "online", () => this._onOnline());
+      listen(globalThis, "offline", () => this._onOffline());
+    }
+
+    if (this.pauseWhenHidden !== null && typeof document !== "undefined") {
+      listen(document, "visibilitychange", () => this._onVisibilityChange());
+      if (document.hidden) {
+        this._onVisibilityChange();
+      }
+    }
   };
 
   /** @private */
-  this._onStreamProgress = function (e) {
-    if (!this.xhr) {
+  this._removeEnvironmentListeners = function () {
+    clearTimeout(this._hiddenTimer);
+    this._hiddenTimer = null;
+    if (!this._environmentListeners) {
       return;
     }
+    this._environmentListeners.forEach(([target, type, listener]) =>
+      target.removeEventListener(type, listener)
+    );
+    this._environmentListeners = null;
+  };
 
-    if (this.xhr.status < 200 || this.xhr.status >= 300) {
-      this._onStreamFailure(e);
-      return;
+  /** @private */
+  this._onOffline = function () {
+    this._offline = true;
+    if (this.reconnectTimer) {
+      this._pause("offline");
     }
+  };
 
-    // Reset retry count on successful connection
-    this.retryCount = 0;
+  /** @private */
+  this._onOnline = function () {
+    this._offline = false;
+    if (this.paused === "offline") {
+      this._resume();
+    }
+  };
 
-    let data = this.xhr.responseText.substring(this.progress);
-    this.progress += data.length;
+  /** @private */
+  this._onVisibilityChange = function () {
+    clearTimeout(this._hiddenTimer);
+    this._hiddenTimer = null;
 
-    // Strip UTF-8 BOM from start of stream (per SSE spec 9.2.5)
-    if (!this._hasParsedBom && this.chunk.length === 0) {
-      if (data.charCodeAt(0) === 0xfeff) {
-        data = data.substring(1);
+    if (!document.hidden) {
+      if (this.paused === "hidden") {
+        this._resume();
       }
-      this._hasParsedBom = true;
+      return;
     }
 
-    const parts = (this.chunk + data).split(/(\r\n\r\n|\r\r|\n\n)/g);
-
-    /*
-     * We assume that the last chunk can be incomplete because of buffering or other network effects,
-     * so we always save the last part to merge it with the next incoming packet
-     */
-    const lastPart = parts.pop();
-    parts.forEach(
-      function (part) {
-        if (part.trim().length > 0) {
-          this.dispatchEvent(this._parseEventChunk(part));
-        }
-      }.bind(this)
-    );
-    this.chunk = lastPart;
+    this._hiddenTimer = setTimeout(() => {
+      this._hiddenTimer = null;
+      this._onHidden();
+    }, this.pauseWhenHidden);
   };
 
-  /** @private */
-  this._onStreamLoaded = function (e) {
-    this._onStreamProgress(e);
-
-    // Parse the last chunk.
-    this.dispatchEvent(this._parseEventChunk(this.chunk));
-    this.chunk = "";
+  /**
+   * The page has been hidden for pauseWhenHidden milliseconds: close the
+   * stream until it is visible again.
+   * @private
+   */
+  this._onHidden = function () {
+    if (this.paused) {
+      // Don't reconnect when back online while hidden.
+      this.paused = "hidden";
+      return;
+    }
+    if (!this.connection && !this.reconnectTimer && !this._tabs) {
+      return;
+    }
 
-    this._markClosed();
+    this._pause("hidden");
+    if (this._leaveCrossTab()) {
+      return;
+    }
+    if (this.connection) {
+      this.connection.abort();
+    }
   };
 
   /**
-   * Parse a received SSE event chunk into a constructed event object.
-   *
-   * Reference: https://html.spec.whatwg.org/multipage/server-sent-events.html#dispatchMessage
+   * Leave a cross-tab stream, handing it over to another tab if this one
+   * leads it.
+   * @private
+   * @return {boolean} whether this tab was following another one, and has
+   *   been closed
    */
-  this._parseEventChunk = function (chunk) {
-    if (!chunk || chunk.length === 0) {
-      return null;
+  this._leaveCrossTab = function () {
+    if (!this._tabs) {
+      return false;
     }
 
-    if (this.debug) {
-      console.debug(chunk);
+    const follower = !this._tabs.leader;
+    this._tabs.close();
+    this._tabs = null;
+    if (follower) {
+      this._onStreamAbort();
     }
+    return follower;
+  };
 
-    const e = { id: null, retry: null, data: null, event: null };
-    chunk.split(/\n|\r\n|\r/).forEach(
-      function (line) {
-        const index = line.indexOf(this.FIELD_SEPARATOR);
-        let field, value;
-        if (index > 0) {
-          // only first whitespace should be trimmed
-          const skip = line[index + 1] === " " ? 2 : 1;
-          field = line.substring(0, index);
-          value = line.substring(index + skip);
-        } else if (index < 0) {
-          // Interpret the entire line as the field name, and use the empty string as the field value
-          field = line;
-          value = "";
-        } else {
-          // A colon is the first character. This is a comment; ignore it.
-          return;
-        }
+  /**
+   * Report a metric to the onMetric hook, if any. A failing hook is logged
+   * and doesn't affect the stream.
+   * @private
+   * @param {string} name
+   * @param {number} value
+   * @param {Object} [attributes]
+   */
+  this._metric = function (name, value, attributes) {
+    if (!this.onMetric) {
+      return;
+    }
+    try {
+      this.onMetric(name, value, attributes || {});
+    } catch (error) {
+      this._log("warn", "SSE onMetric hook failed", {
+        metric: name,
+        error: error,
+      });
+    }
+  };
 
-        if (!(field in e)) {
-          return;
-        }
+  /**
+   * Send a structured record to the logger, if any and if the level is
+   * enabled. The record describes the current connection, along with the
+   * given fields.
+   * @private
+   * @param {"debug" | "info" | "warn" | "error"} level
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  this._log = function (level, message, fields) {
+    if (!this.logger || LOG_LEVELS[level] < LOG_LEVELS[this.logLevel]) {
+      return;
+    }
 
-        // consecutive 'data' is concatenated with newlines
-        if (field === "data" && e[field] !== null) {
-          e["data"] += "\n" + value;
-        } else {
-          e[field] = value;
-        }
-      }.bind(this)
+    this.logger[level](
+      message,
+      Object.assign(
+        {
+          connectionId: this._logConnectionId,
+          url: this._logUrl,
+          attempt: this.retryCount,
+          readyState: this.readyState,
+        },
+        fields
+      )
     );
+  };
 
-    // Process id field per spec: ignore if contains NULL, otherwise update lastEventId
-    // This must happen before checking data, so lastEventId is updated even if no event is dispatched
-    if (e.id !== null && e.id.indexOf("\0") === -1) {
-      this.lastEventId = e.id;
+  /**
+   * @private
+   * @param {SSEHeaders} headers
+   * @return {SSEHeaders} a copy of the headers, with the values of the
+   *   redactHeaders masked
+   */
+  this._redact = function (headers) {
+    const redacted = this.redactHeaders.map((name) => name.toLowerCase());
+    const result = {};
+    for (const key in headers) {
+      result[key] =
+        redacted.indexOf(key.toLowerCase()) !== -1
+          ? "[REDACTED]"
+          : headers[key];
     }
+    return result;
+  };
+
+  /**
+   * Get a snapshot of the statistics of the stream.
+   * @type Stats
+   * @return {SSEStats}
+   */
+  this.stats = function () {
+    return {
+      readyState: this.readyState,
+      bytesReceived: this._stats.bytesReceived,
+      eventsDispatched: Object.assign({}, this._stats.eventsDispatched),
+      timeToOpen: this._stats.timeToOpen,
+      timeSinceLastByte:
+        this._lastByteAt !== null ? Date.now() - this._lastByteAt : null,
+      retryCount: this.retryCount,
+      reconnectAttempts: this._stats.reconnectAttempts,
+      reconnectReasons: Object.assign({}, this._stats.reconnectReasons),
+      lastReconnectReason: this._stats.lastReconnectReason,
+      backoffDelay: this._stats.backoffDelay,
+    };
+  };
 
-    // Process retry field per spec: if value consists of only ASCII digits, update reconnectDelay
-    if (e.retry !== null && /^[0-9]+$/.test(e.retry)) {
-      this.reconnectDelay = parseInt(e.retry, 10);
+  /**
+   * Relay a message about the stream to the other tabs, when this tab is the
+   * leader of a cross-tab stream.
+   * @private
+   * @param {Object} message
+   */
+  this._relay = function (message) {
+    if (this._tabs && this._tabs.leader) {
+      this._tabs.post(message);
     }
+  };
 
-    if (e.data === null) {
-      // If we parsed the chunk and did not extract any data, the chunk was
-      // a comment or only had other fields; don't return an event.
-      return null;
+  /**
+   * The stream ended for good: let the other tabs know, instead of having
+   * one of them take over.
+   * @private
+   */
+  this._endCrossTab = function () {
+    if (this._tabs) {
+      this._tabs.end();
+      this._tabs = null;
     }
+  };
 
-    const event = new CustomEvent(e.event || "message");
-    event.id = e.id;
-    event.data = e.data || "";
-    event.lastEventId = this.lastEventId;
-    return event;
+  /**
+   * Forget about the current connection; callbacks from its transport are
+   * ignored from now on.
+   * @private
+   */
+  this._resetConnection = function () {
+    this._connectionId++;
+    this.connection = null;
+    this.xhr = null;
+    this.progress = 0;
+    this._parser.reset();
+    this._cycling = false;
+    this._clearIdleTimer();
   };
 
-  this._onReadyStateChange = function () {
-    if (!this.xhr) {
-      return;
+  /**
+   * Schedule the next reconnection attempt.
+   * @private
+   * @return {number} the delay before the attempt, in milliseconds
+   */
+  this._scheduleReconnect = function () {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
     }
 
-    if (this.xhr.readyState === XMLHttpRequest.HEADERS_RECEIVED) {
-      const headers = {};
-      const headerPairs = this.xhr.getAllResponseHeaders().trim().split("\r\n");
-      for (const headerPair of headerPairs) {
-        const [key, ...valueParts] = headerPair.split(":");
-        const value = valueParts.join(":").trim();
-        // Ensure the header value is always an array
-        headers[key.trim().toLowerCase()] =
-          headers[key.trim().toLowerCase()] || [];
-        headers[key.trim().toLowerCase()].push(value);
-      }
+    const delay = this._getReconnectDelay();
+    this._log("info", "SSE reconnection scheduled", {
+      delay: delay,
+      nextAttempt: this.retryCount + 1,
+      maxRetries: this.maxRetries,
+    });
 
-      const event = new CustomEvent("open");
-      event.responseCode = this.xhr.status;
-      event.headers = headers;
-      this.dispatchEvent(event);
-      this._setReadyState(SSE.OPEN);
-    }
+    this.reconnectTimer = setTimeout(() => this._reconnect(), delay);
+    return delay;
   };
 
   /**
-   * starts the streaming
-   * @type Stream
-   * @return {void}
+   * Make the scheduled reconnection attempt.
+   * @private
    */
-  this.stream = function () {
-    if (this.xhr) {
-      // Already connected.
-      return;
-    }
+  this._reconnect = function () {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.retryCount++;
+    this._stats.reconnectAttempts++;
+    this.stream();
+  };
 
-    this._setReadyState(SSE.CONNECTING);
+  /**
+   * Compute the delay before the next reconnection attempt. Without a
+   * backoff policy, this is always reconnectDelay (which the server can
+   * update with the `retry` field); otherwise reconnectDelay is used as the
+   * base delay of an exponential backoff.
+   * @private
+   * @return {number}
+   */
+  this._getReconnectDelay = function () {
+    const base = this.reconnectDelay;
+    if (!this.backoff) {
+      return base;
+    }
 
-    this.xhr = new XMLHttpRequest();
-    this.xhr.addEventListener("progress", this._onStreamProgress.bind(this));
-    this.xhr.addEventListener("load", this._onStreamLoaded.bind(this));
-    this.xhr.addEventListener(
-      "readystatechange",
-      this._onReadyStateChange.bind(this)
+    const { multiplier, maxDelay, jitter } = this.backoff;
+    const exponential = Math.min(
+      maxDelay,
+      base * Math.pow(multiplier, this.retryCount)
     );
-    this.xhr.addEventListener("error", this._onStreamFailure.bind(this));
-    this.xhr.addEventListener("abort", this._onStreamAbort.bind(this));
-    this.xhr.open(this.method, this.url);
-    for (let header in this.headers) {
-      this.xhr.setRequestHeader(header, this.headers[header]);
+
+    let delay;
+    switch (jitter) {
+      case "full":
+        delay = Math.random() * exponential;
+        break;
+      case "equal":
+        delay = exponential / 2 + (Math.random() * exponential) / 2;
+        break;
+      case "decorrelated": {
+        const previous =
+          this.retryCount > 0 && this._previousReconnectDelay !== null
+            ? this._previousReconnectDelay
+            : base;
+        const upper = Math.max(base, previous * multiplier);
+        delay = Math.min(maxDelay, base + Math.random() * (upper - base));
+        break;
+      }
+      default:
+        delay = exponential;
     }
-    if (this.useLastEventId && this.lastEventId.length > 0) {
-      this.xhr.setRequestHeader("Last-Event-ID", this.lastEventId);
+
+    delay = Math.round(delay);
+    this._previousReconnectDelay = delay;
+    return delay;
+  };
+
+  /** @private */
+  this._setReadyState = function (state) {
+    const event = createEvent("readystatechange");
+    event.readyState = state;
+    this.readyState = state;
+    if (!this.strict) {
+      this.dispatchEvent(event);
+    }
+    this._readyStateListeners.slice().forEach((listener) => listener(state));
+  };
+
+  /** @private */
+  this._addReadyStateListener = function (listener) {
+    this._readyStateListeners.push(listener);
+  };
+
+  /** @private */
+  this._removeReadyStateListener = function (listener) {
+    const index = this._readyStateListeners.indexOf(listener);
+    if (index !== -1) {
+      this._readyStateListeners.splice(index, 1);
     }
-    this.xhr.withCredentials = this.withCredentials;
-    this.xhr.send(this.payload);
   };
 
   /**
-   * closes the stream
-   * @type Close
-   * @return {void}
+   * (Re)start the idle timer, if an idle timeout is configured.
+   * @private
    */
-  this.close = function () {
-    // Clear any pending reconnect timer and disable auto-reconnect
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
+  this._resetIdleTimer = function () {
+    if (this.idleTimeout === null) {
+      return;
     }
-    // Disable auto-reconnect when explicitly closed
-    this.autoReconnect = false;
 
-    if (this.xhr) {
-      this.xhr.abort();
+    this._clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this._onStreamIdle();
+    }, this.idleTimeout);
+  };
+
+  /** @private */
+  this._clearIdleTimer = function () {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
     }
   };
 
+  /**
+   * Nothing was received for idleTimeout milliseconds: consider the stream
+   * stalled, abort the connection and go through the normal reconnect path.
+   * @private
+   */
+  this._onStreamIdle = function () {
+    if (!this.connection) {
+      return;
+    }
+
+    this._log("warn", "SSE stream idle, aborting", {
+      idleTimeout: this.idleTimeout,
+    });
+
+    const connection = this.connection;
+    this._connectionId++;
+    connection.abort();
+
+    this._flushBatch(true);
+    const event = createEvent("timeout");
+    event.idleTimeout = this.idleTimeout;
+    this.dispatchEvent(event);
+    this._markClosed("timeout");
+  };
+
+  /** @private */
+  this._onStreamOpen = function (responseCode, headers) {
+    this._openResult =
+      responseCode >= 200 && responseCode < 300
+        ? { responseCode: responseCode, headers: headers }
+        : null;
+    this._resetIdleTimer();
+    this._log(this._openResult ? "info" : "warn", "SSE response received", {
+      responseCode: responseCode,
+    });
+
+    if (this._connectStartedAt !== null) {
+      this._stats.timeToOpen = Date.now() - this._connectStartedAt;
+      this._connectStartedAt = null;
+      this._metric("open", this._stats.timeToOpen, {
+        responseCode: responseCode,
+      });
+    }
+
+    if (this.strict) {
+      if (!isEventStreamResponse(responseCode, headers)) {
+        // Fail the connection, without reconnecting.
+        const connection = this.connection;
+        this._connectionId++;
+        this.autoReconnect = false;
+        if (connection) {
+          connection.abort();
+        }
+        this._markClosed("error");
+        return;
+      }
+
+      this._setReadyState(SSE.OPEN);
+      this.dispatchEvent(createEvent("open"));
+      return;
+    }
+
+    // Don't announce the replacement connection of a transparent cycle.
+    if (this._cycling) {
+      this._cycling = false;
+      if (responseCode >= 200 && responseCode < 300) {
+        return;
+      }
+    }
+
+    this._relay({
+      type: "open",
+      responseCode: responseCode,
+      headers: headers,
+    });
+
+    const event = createEvent("open");
+    event.responseCode = responseCode;
+    event.headers = headers;
+    this.dispatchEvent(event);
+    this._setReadyState(SSE.OPEN);
+  };
+
+  /** @private */
+  this._onStreamFailure = function (responseCode, data) {
+    // Only an error when the stream won't be reopened.
+    this._log(this.autoReconnect ? "warn" : "error", "SSE connection failed", {
+      responseCode: responseCode,
+      error: data instanceof Error ? data : null,
+    });
+    this._flushBatch(true);
+    if (this.strict) {
+      // A network error: reestablish the connection.
+      this._markClosed("error");
+      return;
+    }
+    if (
+      (responseCode === 401 || responseCode === 403) &&
+      this.onAuthError &&
+      !this._authRefreshed
+    ) {
+      this._onStreamUnauthorized(responseCode, data);
+      return;
+    }
+
+    this._relay({
+      type: "error",
+      responseCode: responseCode,
+      data: typeof data === "string" ? data : null,
+    });
+
+    const event = createEvent("error");
+    event.responseCode = responseCode;
+    event.data = data;
+    this.dispatchEvent(event);
+    this._markClosed("error");
+  };
+
+  /**
+   * The server rejected the request's credentials: ask onAuthError for
+   * fresh headers and reconnect immediately with them, without going
+   * through the reconnection delay and retry accounting. Only one refresh
+   * is attempted until the stream is closed or receives data.
+   * @private
+   */
+  this._onStreamUnauthorized = function (responseCode, data) {
+    this._resetConnection();
+    this._authRefreshed = true;
+    this._log("info", "SSE credentials rejected, refreshing", {
+      responseCode: responseCode,
+    });
+
+    // Let close() cancel the refresh.
+    const connectionId = this._connectionId;
+    this.connection = {
+      abort: () => {
+        if (this._connectionId === connectionId) {
+          this._onStreamAbort();
+        }
+      },
+    };
+    this._setReadyState(SSE.CONNECTING);
+
+    const event = createEvent("unauthorized");
+    event.responseCode = responseCode;
+    event.data = data;
+    this.dispatchEvent(event);
+    if (this._connectionId !== connectionId) {
+      return;
+    }
+
+    let refresh;
+    try {
+      refresh = Promise.resolve(this.onAuthError(event));
+    } catch (error) {
+      refresh = Promise.reject(error);
+    }
+
+    refresh.then(
+      (headers) => {
+        if (this._connectionId === connectionId) {
+          this._authHeaders = headers || {};
+          this.connection = null;
+          this._connect();
+        }
+      },
+      (error) => {
+        if (this._connectionId === connectionId) {
+          // Give up: the credentials can't be refreshed.
+          this.autoReconnect = false;
+          this._onStreamFailure(responseCode, error);
+        }
+      }
+    );
+  };
+
+  /**
+   * @private
+   * @param {boolean} [final] - no further request can be made
+   */
+  this._onStreamAbort = function (final) {
+    if (final) {
+      // The transport can't make requests anymore (its signal was aborted):
+      // don't try to reconnect.
+      this.autoReconnect = false;
+    }
+    this._flushBatch(true);
+    if (!this.strict) {
+      this.dispatchEvent(createEvent("abort"));
+    }
+    this._markClosed("abort");
+  };
+
+  /** @private */
+  this._onStreamProgress = function (data) {
+    // Any data received, including comments, shows the stream is alive.
+    this._resetIdleTimer();
+
+    // Reset retry count on successful connection
+    this.retryCount = 0;
+    this._authRefreshed = false;
+
+    this.progress += data.length;
+    const bytes = utf8Length(data);
+    this._stats.bytesReceived += bytes;
+    this._lastByteAt = Date.now();
+    this._metric("bytes", bytes);
+    this._log("debug", "SSE data received", {
+      bytes: bytes,
+      bytesReceived: this._stats.bytesReceived,
+    });
+
+    this._relay({ type: "data", data: data, connection: this._connectionId });
+    this._feed(data);
+
+    if (
+      this.maxResponseSize !== null &&
+      this.progress >= this.maxResponseSize &&
+      this._parser.buffer.length === 0
+    ) {
+      this._cycleConnection();
+    }
+  };
+
+  /**
+   * Transparently replace the current connection with a new one resuming
+   * from lastEventId, releasing the response retained by the transport.
+   * Only done on event boundaries, and when the stream can be resumed right
+   * after the last event received.
+   * @private
+   */
+  this._cycleConnection = function () {
+    if (
+      !this.connection ||
+      !this.useLastEventId ||
+      !this.lastEventId ||
+      !this._resumable
+    ) {
+      return;
+    }
+
+    this._log("info", "SSE cycling connection", {
+      progress: this.progress,
+      lastEventId: this.lastEventId,
+    });
+
+    const connection = this.connection;
+    this._resetConnection();
+    connection.abort();
+
+    this._cycling = true;
+    this._connect();
+  };
+
+  /**
+   * Parse data received from the stream, from the last event ID known to
+   * the source, which may have been set since.
+   * @private
+   * @param {string} data
+   */
+  this._feed = function (data) {
+    this._parser.lastEventId = this.lastEventId;
+    this._parser.feed(data);
+  };
+
+  /** @private */
+  this._onStreamLoaded = function () {
+    this._relay({ type: "loaded" });
+    this._parser.end();
+
+    this._flushBatch(true);
+    this._markClosed("end");
+  };
+
+  /**
+   * Dispatch an event received from the stream, right away or with the next
+   * batch.
+   * @private
+   * @param {SSEvent | null} event
+   */
+  this._dispatchStreamEvent = function (event) {
+    if (!event) {
+      return;
+    }
+    if (!this.batch) {
+      this.dispatchEvent(event);
+      return;
+    }
+
+    if (!this._coalesceQueued(this._batchQueue, event)) {
+      this._batchQueue.push(event);
+    }
+    this._scheduleBatch();
+  };
+
+  /**
+   * Get the key events are coalesced by, if the given event is to be
+   * coalesced.
+   * @private
+   * @param {SSEvent} event
+   * @return {string|null}
+   */
+  this._coalesceKey = function (event) {
+    if (!this.coalesce) {
+      return null;
+    }
+
+    if (!this._coalesceKeys.has(event)) {
+      const key =
+        typeof this.coalesce === "function"
+          ? this.coalesce(event)
+          : this.coalesce.indexOf(event.type) !== -1
+          ? event.type
+          : null;
+      this._coalesceKeys.set(event, key === undefined ? null : key);
+    }
+    return this._coalesceKeys.get(event);
+  };
+
+  /**
+   * Replace the queued event with the same coalescing key as the given
+   * event, if any, with the event, at the end of the queue.
+   * @private
+   * @param {SSEvent[]} queue
+   * @param {SSEvent} event
+   * @return {boolean} whether a queued event was replaced
+   */
+  this._coalesceQueued = function (queue, event) {
+    const key = this._coalesceKey(event);
+    if (key === null) {
+      return false;
+    }
+
+    for (let i = 0; i < queue.length; i++) {
+      if (this._coalesceKey(queue[i]) === key) {
+        queue.splice(i, 1);
+        queue.push(event);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /** @private */
+  this._scheduleBatch = function () {
+    if (this._batchScheduled) {
+      return;
+    }
+
+    this._batchScheduled = true;
+    scheduleBatch(this.batch.schedule, () => {
+      this._batchScheduled = false;
+      this._flushBatch(false);
+    });
+  };
+
+  /**
+   * Dispatch the next batch of queued events, or all of them, in batches of
+   * at most batch.maxSize events. Events left in the queue are scheduled for
+   * the next batch.
+   * @private
+   * @param {boolean} all
+   */
+  this._flushBatch = function (all) {
+    do {
+      if (this._batchQueue.length === 0) {
+        return;
+      }
+
+      const events = this._batchQueue.splice(0, this.batch.maxSize);
+      if (this.batch.mode === "batch") {
+        const event = createEvent("batch");
+        event.events = events;
+        events.forEach((e) => (e.source = this));
+        this.dispatchEvent(event);
+      } else {
+        events.forEach((e) => this.dispatchEvent(e));
+      }
+    } while (all);
+
+    if (this._batchQueue.length > 0) {
+      this._scheduleBatch();
+    }
+  };
+
+  /**
+   * Build the event to dispatch for an event parsed from the stream, unless
+   * it is a duplicate or its data can't be decoded.
+   * @private
+   * @param {SSEParsedEvent} e
+   * @return {SSEvent | null}
+   */
+  this._createStreamEvent = function (e) {
+    if (e.id && this._isDuplicate(e.id)) {
+      const duplicate = createEvent("duplicate");
+      duplicate.id = e.id;
+      duplicate.data = e.data;
+      duplicate.lastEventId = e.lastEventId;
+      duplicate.eventType = e.type;
+      this.dispatchEvent(duplicate);
+      return null;
+    }
+
+    if (this.strict) {
+      return createMessageEvent(e.type, {
+        data: e.data,
+        origin: this._origin,
+        lastEventId: e.lastEventId,
+      });
+    }
+
+    const event = createEvent(e.type);
+    event.id = e.id;
+    event.data = e.data;
+    event.lastEventId = e.lastEventId;
+    return this._decodeEvent(event, e.raw);
+  };
+
+  /**
+   * Check whether an event with the given ID was already seen, when
+   * duplicate suppression is enabled, and remember the ID otherwise.
+   * @private
+   * @param {string} id
+   * @return {boolean}
+   */
+  this._isDuplicate = function (id) {
+    if (!this.dedupe) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (this.dedupe.window !== null) {
+      for (const [seenId, seenAt] of this._seenIds) {
+        if (now - seenAt < this.dedupe.window) {
+          break;
+        }
+        this._seenIds.delete(seenId);
+      }
+    }
+
+    if (this._seenIds.has(id)) {
+      return true;
+    }
+
+    this._seenIds.set(id, now);
+    if (this._seenIds.size > this.dedupe.maxSize) {
+      this._seenIds.delete(this._seenIds.keys().next().value);
+    }
+    return false;
+  };
+
+  /**
+   * Decode the data of an event with the decoder configured for its type,
+   * if any, into event.parsed. If decoding fails, a `parseerror` event is
+   * dispatched instead and null is returned.
+   * @private
+   * @param {SSEvent} event
+   * @param {string} chunk - the raw event chunk
+   * @return {SSEvent | null}
+   */
+  this._decodeEvent = function (event, chunk) {
+    let decoder = this.decode;
+    if (decoder !== null && typeof decoder === "object") {
+      decoder = decoder.hasOwnProperty(event.type) ? decoder[event.type] : null;
+    }
+    if (!decoder) {
+      return event;
+    }
+
+    try {
+      event.parsed =
+        decoder === "json"
+          ? JSON.parse(event.data)
+          : decoder(event.data, event);
+    } catch (error) {
+      this._log("warn", "SSE failed to decode event data", {
+        eventType: event.type,
+        id: event.id,
+        error: error,
+      });
+      const parseError = createEvent("parseerror");
+      parseError.id = event.id;
+      parseError.data = event.data;
+      parseError.lastEventId = event.lastEventId;
+      parseError.eventType = event.type;
+      parseError.chunk = chunk;
+      parseError.error = error;
+      this.dispatchEvent(parseError);
+      return null;
+    }
+    return event;
+  };
+
+  /**
+   * Resolve the transport factory to use for the next connection.
+   * @private
+   * @return {SSETransportFactory}
+   */
+  this._getTransport = function () {
+    let transport = this.transport;
+    if (!transport) {
+      if (typeof XMLHttpRequest !== "undefined") {
+        transport = "xhr";
+      } else if (SSE.transports.hasOwnProperty("node")) {
+        transport = "node";
+      } else {
+        transport = "fetch";
+      }
+    }
+
+    if (typeof transport === "function") {
+      return transport;
+    }
+
+    if (!SSE.transports.hasOwnProperty(transport)) {
+      throw new Error(`Unknown SSE transport: ${transport}`);
+    }
+    return SSE.transports[transport];
+  };
+
+  /**
+   * Build the set of callbacks handed to the transport for one connection.
+   * Callbacks from a connection that has since been closed are ignored.
+   * @private
+   * @return {SSETransportHandlers}
+   */
+  this._createTransportHandlers = function () {
+    const connectionId = this._connectionId;
+    const guard = function (handler) {
+      return function () {
+        if (this._connectionId === connectionId) {
+          handler.apply(this, arguments);
+        }
+      }.bind(this);
+    }.bind(this);
+
+    return {
+      onResponse: guard(this._onStreamOpen),
+      onData: guard(this._onStreamProgress),
+      onEnd: guard(this._onStreamLoaded),
+      onError: guard(this._onStreamFailure),
+      onAbort: guard(this._onStreamAbort),
+    };
+  };
+
+  /**
+   * starts the streaming
+   * @type Stream
+   * @return {void}
+   */
+  this.stream = function () {
+    if (this.connection) {
+      // Already connected.
+      return;
+    }
+
+    this.paused = null;
+    this._addEnvironmentListeners();
+
+    if (this.crossTab && typeof BroadcastChannel !== "undefined") {
+      if (!this._tabs) {
+        // The elected leader tab connects; the other tabs mirror its stream.
+        this._setReadyState(SSE.CONNECTING);
+        this._tabs = tabCoordinator(this);
+        return;
+      }
+      if (!this._tabs.leader) {
+        return;
+      }
+    }
+
+    this._setReadyState(SSE.CONNECTING);
+    this._connect();
+  };
+
+  /**
+   * Open a new connection with the transport, once the url, headers and
+   * payload have been evaluated for this attempt.
+   * @private
+   */
+  this._connect = function () {
+    if (this.persistence && !this._restored) {
+      this._restoreLastEventId();
+      return;
+    }
+
+    const connectionId = ++this._connectionId;
+    const context = { attempt: this.retryCount, lastEventId: this.lastEventId };
+    this._connectStartedAt = Date.now();
+
+    let values;
+    try {
+      values = [this.url, this.headers, this.payload].map(function (value) {
+        return typeof value === "function" ? value(context) : value;
+      });
+    } catch (error) {
+      this._onStreamFailure(0, error);
+      return;
+    }
+
+    if (!values.some(isPromiseLike)) {
+      this._openConnection(connectionId, values[0], values[1], values[2]);
+      return;
+    }
+
+    // Until the values are resolved, a placeholder connection allows close()
+    // to cancel the attempt.
+    this.connection = {
+      abort: () => {
+        if (this._connectionId === connectionId) {
+          this._onStreamAbort();
+        }
+      },
+    };
+    Promise.all(values).then(
+      (resolved) => {
+        if (this._connectionId === connectionId) {
+          this._openConnection(
+            connectionId,
+            resolved[0],
+            resolved[1],
+            resolved[2]
+          );
+        }
+      },
+      (error) => {
+        if (this._connectionId === connectionId) {
+          this._onStreamFailure(0, error);
+        }
+      }
+    );
+  };
+
+  /**
+   * Seed lastEventId from the persistence storage before the first
+   * connection, unless it was already set. The stream is still opened if
+   * the storage fails.
+   * @private
+   */
+  this._restoreLastEventId = function () {
+    this._restored = true;
+    const connectionId = ++this._connectionId;
+    const restore = (value) => {
+      if (value && !this.lastEventId) {
+        this.lastEventId = String(value);
+      }
+      this._connect();
+    };
+    const fail = (error) => {
+      this._log("warn", "SSE failed to restore the last event ID", {
+        error: error,
+      });
+      restore(null);
+    };
+
+    let stored;
+    try {
+      stored = this.persistence.storage.get(this.persistence.key);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+
+    if (!isPromiseLike(stored)) {
+      restore(stored);
+      return;
+    }
+
+    // Until the ID is restored, a placeholder connection allows close() to
+    // cancel the attempt.
+    this.connection = {
+      abort: () => {
+        if (this._connectionId === connectionId) {
+          this._onStreamAbort();
+        }
+      },
+    };
+    Promise.resolve(stored).then(
+      (value) => {
+        if (this._connectionId === connectionId) {
+          this.connection = null;
+          restore(value);
+        }
+      },
+      (error) => {
+        if (this._connectionId === connectionId) {
+          this.connection = null;
+          fail(error);
+        }
+      }
+    );
+  };
+
+  /**
+   * Save lastEventId to the persistence storage, if any.
+   * @private
+   */
+  this._persistLastEventId = function () {
+    if (!this.persistence) {
+      return;
+    }
+
+    const fail = (error) => {
+      this._log("warn", "SSE failed to persist the last event ID", {
+        error: error,
+      });
+    };
+    try {
+      const saved = this.persistence.storage.set(
+        this.persistence.key,
+        this.lastEventId
+      );
+      if (isPromiseLike(saved)) {
+        saved.then(null, fail);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  /**
+   * @private
+   * @param {number} connectionId
+   * @param {string} url
+   * @param {SSEHeaders} requestHeaders
+   * @param {SSEPayload} payload
+   */
+  this._openConnection = function (connectionId, url, requestHeaders, payload) {
+    // Refreshed credentials are sent on the retry that follows the refresh.
+    // After that, they only replace static headers: a headers() function
+    // provides the credentials of each connection itself.
+    const authHeaders =
+      this._authRefreshed || typeof this.headers !== "function"
+        ? this._authHeaders
+        : {};
+    const headers = Object.assign({}, requestHeaders, authHeaders);
+    if (this.useLastEventId && this.lastEventId.length > 0) {
+      headers["Last-Event-ID"] = this.lastEventId;
+    }
+
+    this._logConnectionId = ++connectionCount;
+    this._logUrl = url;
+    this._origin = urlOrigin(url);
+    this._log("info", "SSE connecting", {
+      method: this.method,
+      headers: this._redact(headers),
+    });
+
+    const transport = this._getTransport();
+    const connection = transport(
+      {
+        url: url,
+        method: this.method,
+        headers: headers,
+        payload: payload,
+        withCredentials: this.withCredentials,
+        options: this.transportOptions,
+      },
+      this._createTransportHandlers()
+    );
+
+    // The transport may already have reported a failure synchronously.
+    if (this._connectionId === connectionId) {
+      this.connection = connection;
+      this.xhr = connection.xhr || null;
+      this._resetIdleTimer();
+    }
+  };
+
+  /**
+   * closes the stream
+   * @type Close
+   * @return {void}
+   */
+  this.close = function () {
+    this._log("info", "SSE closing");
+    const pending = this._reconnectPending();
+
+    // Clear any pending reconnect timer and disable auto-reconnect
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    // Disable auto-reconnect when explicitly closed
+    this.autoReconnect = false;
+    this.paused = null;
+    this._clearIdleTimer();
+    this._removeEnvironmentListeners();
+    // Don't let a long-lived signal keep the closed stream alive.
+    if (this._onSignalAbort) {
+      this.signal.removeEventListener("abort", this._onSignalAbort);
+      this._onSignalAbort = null;
+    }
+
+    if (this._leaveCrossTab()) {
+      return;
+    }
+
+    if (this.connection) {
+      this.connection.abort();
+    } else if (pending && (this.readyState === SSE.CLOSED || this.strict)) {
+      // Let listeners know that the stream won't be reopened.
+      this._setReadyState(SSE.CLOSED);
+    }
+  };
+
+  /**
+   * Consume the events of the given types as an async iterator. Events
+   * received while the consumer is busy are queued; breaking out of the
+   * iteration closes the stream.
+   * @type Events
+   * @return {AsyncIterableIterator<SSEvent>}
+   */
+  this.events = function (options) {
+    options = options || {};
+    const source = this;
+    const types = options.types || ["message"];
+    const highWaterMark =
+      options.highWaterMark !== undefined ? options.highWaterMark : Infinity;
+    const overflow = options.overflow || "drop-oldest";
+
+    const queue = [];
+    const pending = [];
+    let finished = false;
+    let failure = null;
+    let lastError = null;
+
+    const settle = function () {
+      while (pending.length > 0) {
+        const { resolve, reject } = pending[0];
+        if (queue.length > 0) {
+          resolve({ value: queue.shift(), done: false });
+        } else if (failure) {
+          reject(failure);
+          failure = null;
+        } else if (finished) {
+          resolve({ value: undefined, done: true });
+        } else {
+          return;
+        }
+        pending.shift();
+      }
+    };
+
+    const onEvent = function (e) {
+      if (source._coalesceQueued(queue, e)) {
+        settle();
+        return;
+      }
+      if (queue.length >= highWaterMark) {
+        if (overflow === "drop-newest") {
+          return;
+        }
+        if (overflow === "error") {
+          failure = new Error(
+            `SSE event queue overflow (highWaterMark: ${highWaterMark})`
+          );
+          stop();
+          source.close();
+          return;
+        }
+        queue.shift();
+      }
+      queue.push(e);
+      settle();
+    };
+
+    const onError = function (e) {
+      // Errors auto-reconnect is already handling don't end the iteration.
+      lastError = source._reconnectPending() ? null : e;
+    };
+
+    const onReadyStateChange = function (readyState) {
+      // Keep iterating while auto-reconnect is handling the disconnection.
+      if (source._reconnectPending()) {
+        lastError = null;
+        return;
+      }
+      if (readyState !== SSE.CLOSED) {
+        return;
+      }
+
+      if (lastError) {
+        failure = streamError(lastError);
+      }
+      stop();
+    };
+
+    const stop = function () {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      types.forEach(function (type) {
+        source.removeEventListener(type, onEvent);
+      });
+      source.removeEventListener("error", onError);
+      source._removeReadyStateListener(onReadyStateChange);
+      settle();
+    };
+
+    types.forEach(function (type) {
+      source.addEventListener(type, onEvent);
+    });
+    source.addEventListener("error", onError);
+    source._addReadyStateListener(onReadyStateChange);
+
+    const iterator = {
+      next: function () {
+        return new Promise(function (resolve, reject) {
+          pending.push({ resolve, reject });
+          if (source.readyState === SSE.INITIALIZING) {
+            source.stream();
+          } else if (
+            source.readyState === SSE.CLOSED &&
+            !source._reconnectPending()
+          ) {
+            // The stream already ended: no more events are coming.
+            stop();
+          }
+          settle();
+        });
+      },
+      return: function () {
+        stop();
+        queue.length = 0;
+        source.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator;
+    };
+    return iterator;
+  };
+
+  /**
+   * Wait for the stream to be open.
+   * @type Ready
+   * @return {Promise<SSEReadyResult>}
+   */
+  this.ready = function () {
+    if (this.readyState === SSE.OPEN && this._openResult) {
+      return Promise.resolve(this._openResult);
+    }
+    if (this.readyState === SSE.CLOSED && !this._reconnectPending()) {
+      // Closed for good: the stream won't open anymore.
+      return Promise.reject(streamError(createEvent("error")));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onOpen = () => {
+        if (this._openResult) {
+          cleanup();
+          resolve(this._openResult);
+        }
+      };
+      const onError = (e) => {
+        cleanup();
+        reject(streamError(e));
+      };
+      const cleanup = () => {
+        this.removeEventListener("open", onOpen);
+        this.removeEventListener("error", onError);
+      };
+      this.addEventListener("open", onOpen);
+      this.addEventListener("error", onError);
+    });
+  };
+
+  /**
+   * Wait for the next event of the given type.
+   * @type Once
+   * @return {Promise<SSEvent>}
+   */
+  this.once = function (type, options) {
+    const timeout = options && options.timeout;
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const listener = (e) => {
+        this.removeEventListener(type, listener);
+        clearTimeout(timer);
+        resolve(e);
+      };
+      this.addEventListener(type, listener);
+
+      if (timeout !== undefined && timeout !== null) {
+        timer = setTimeout(() => {
+          this.removeEventListener(type, listener);
+          reject(
+            new Error(
+              `Timed out after ${timeout}ms waiting for SSE ${type} event`
+            )
+          );
+        }, timeout);
+      }
+    });
+  };
+
+  /**
+   * A promise resolved once the stream is closed, with no reconnection
+   * pending.
+   * @name SSE#closed
+   * @type {Promise<void>}
+   */
+  Object.defineProperty(this, "closed", {
+    get: function () {
+      if (this.readyState === SSE.CLOSED && !this._reconnectPending()) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve) => {
+        const listener = (readyState) => {
+          if (readyState === SSE.CLOSED && !this._reconnectPending()) {
+            this._removeReadyStateListener(listener);
+            resolve();
+          }
+        };
+        this._addReadyStateListener(listener);
+      });
+    },
+  });
+
+  if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+    /**
+     * Iterate over the `message` events of the stream.
+     * @return {AsyncIterableIterator<SSEvent>}
+     */
+    this[Symbol.asyncIterator] = function () {
+      return this.events();
+    };
+  }
+
+  if (this.signal) {
+    if (this.signal.aborted) {
+      this.close();
+      return;
+    }
+    this._onSignalAbort = () => this.close();
+    this.signal.addEventListener("abort", this._onSignalAbort, { once: true });
+  }
+
   if (options.start === undefined || options.start) {
     this.stream();
   }
 };
 
-/** @type {number} */
-SSE.INITIALIZING = -1;
-/** @type {number} */
-SSE.CONNECTING = 0;
-/** @type {number} */
-SSE.OPEN = 1;
-/** @type {number} */
-SSE.CLOSED = 2;
+/** @type {number} */
+SSE.INITIALIZING = -1;
+/** @type {number} */
+SSE.CONNECTING = 0;
+/** @type {number} */
+SSE.OPEN = 1;
+/** @type {number} */
+SSE.CLOSED = 2;
+
+/**
+ * XMLHttpRequest.HEADERS_RECEIVED, without relying on the XMLHttpRequest
+ * global being defined.
+ *
+ * @type {number}
+ */
+const XHR_HEADERS_RECEIVED = 2;
+
+/**
+ * Log levels, by increasing severity.
+ *
+ * @type {Object.<SSELogLevel, number>}
+ */
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
+/**
+ * Number of connections opened so far, across all sources. Identifies
+ * connections in log records.
+ *
+ * @type {number}
+ */
+let connectionCount = 0;
+
+/**
+ * Create an event object to dispatch. Uses CustomEvent when available, and
+ * falls back to Event or a plain event-like object in environments that
+ * don't provide it (older Node.js versions).
+ *
+ * @param {string} type
+ * @return {Event}
+ */
+function createEvent(type) {
+  if (typeof CustomEvent === "function") {
+    return new CustomEvent(type);
+  }
+  if (typeof Event === "function") {
+    return new Event(type);
+  }
+  return {
+    type: type,
+    defaultPrevented: false,
+    timeStamp: Date.now(),
+    preventDefault: function () {
+      this.defaultPrevented = true;
+    },
+  };
+}
+
+/**
+ * Create a MessageEvent to dispatch, falling back to an event with the same
+ * fields where MessageEvent isn't available.
+ *
+ * @param {string} type
+ * @param {{data: string, origin: string, lastEventId: string}} init
+ * @return {MessageEvent}
+ */
+function createMessageEvent(type, init) {
+  if (typeof MessageEvent === "function") {
+    return new MessageEvent(type, init);
+  }
+  return Object.assign(createEvent(type), init);
+}
+
+/**
+ * @return {string | undefined} the URL relative URLs are resolved against:
+ *   the base URL of the document, or the location of the worker
+ */
+function baseUrl() {
+  return typeof document !== "undefined"
+    ? document.baseURI
+    : typeof location !== "undefined"
+    ? location.href
+    : undefined;
+}
+
+/**
+ * @param {string} url
+ * @return {string} the serialized origin of the URL, or an empty string if
+ *   it can't be resolved
+ */
+function urlOrigin(url) {
+  try {
+    return new URL(url, baseUrl()).origin;
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * @param {number} responseCode
+ * @param {Object.<string, string[]>} headers
+ * @return {boolean} whether the response can be read as an event stream by
+ *   EventSource: a 200 response with a text/event-stream content type
+ */
+function isEventStreamResponse(responseCode, headers) {
+  const contentType = (headers["content-type"] || [""])[0];
+  return (
+    responseCode === 200 &&
+    contentType.split(";")[0].trim().toLowerCase() === "text/event-stream"
+  );
+}
+
+/**
+ * Build the error used to reject promises and iterations when the stream
+ * fails, exposing the `error` event that was dispatched.
+ *
+ * @param {SSEvent} event
+ * @return {Error}
+ */
+function streamError(event) {
+  const error = new Error(
+    "SSE stream failed" + (event.responseCode ? ` (${event.responseCode})` : "")
+  );
+  error.event = event;
+  return error;
+}
+
+/**
+ * Call back with the next batch of events: on the next animation frame (or
+ * shortly, where there are none), in a microtask, or after the given delay
+ * in milliseconds.
+ *
+ * @param {"animationFrame" | "microtask" | number} schedule
+ * @param {() => void} callback
+ */
+function scheduleBatch(schedule, callback) {
+  if (typeof schedule === "number") {
+    setTimeout(callback, schedule);
+  } else if (schedule === "microtask") {
+    Promise.resolve().then(callback);
+  } else if (typeof requestAnimationFrame === "function") {
+    requestAnimationFrame(callback);
+  } else {
+    setTimeout(callback, 16);
+  }
+}
+
+/**
+ * Persistence storage backed by the Web Storage object of the given name
+ * (localStorage or sessionStorage), looked up when used.
+ *
+ * @param {string} name
+ * @return {SSEPersistenceStorage}
+ */
+function webStorage(name) {
+  return {
+    get: function (key) {
+      return globalThis[name].getItem(key);
+    },
+    set: function (key, value) {
+      globalThis[name].setItem(key, value);
+    },
+  };
+}
+
+/**
+ * Persistence storage backed by an IndexedDB database, opened on first use.
+ *
+ * @return {SSEPersistenceStorage}
+ */
+function indexedDBStorage() {
+  const STORE = "lastEventId";
+  let database = null;
+
+  const open = function () {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open("sse.js", 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          database = null;
+          reject(request.error);
+        };
+      });
+    }
+    return database;
+  };
+
+  const run = function (mode, operation) {
+    return open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = operation(
+            db.transaction(STORE, mode).objectStore(STORE)
+          );
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+  };
+
+  return {
+    get: function (key) {
+      return run("readonly", (store) => store.get(key));
+    },
+    set: function (key, value) {
+      return run("readwrite", (store) => store.put(value, key)).then(
+        () => undefined
+      );
+    },
+  };
+}
+
+/**
+ * Coordinate the tabs sharing a cross-tab stream over a BroadcastChannel.
+ * One tab is elected leader: it holds the real connection and relays what
+ * it receives to the other tabs, which mirror its stream. The leader
+ * announces itself with regular heartbeats; when it resigns or its
+ * heartbeats stop, the other tabs take over and resume the stream from the
+ * shared lastEventId. Competing leaders defer to the oldest one.
+ *
+ * @param {SSE} source
+ * @return {SSETabCoordinator}
+ */
+function tabCoordinator(source) {
+  const options = source.crossTab;
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2);
+  const channel = new BroadcastChannel(options.channel);
+  let leaderId = null;
+  let heartbeat = null;
+  let watchdog = null;
+  // The leader connection the relayed data is from.
+  let relayed = null;
+
+  const coordinator = {
+    leader: false,
+    post: function (message) {
+      message.from = id;
+      channel.postMessage(message);
+    },
+    close: function () {
+      if (coordinator.leader) {
+        coordinator.post({ type: "resign", lastEventId: source.lastEventId });
+      }
+      stop();
+    },
+    end: function () {
+      coordinator.post({ type: "end" });
+      stop();
+    },
+  };
+
+  const stop = function () {
+    source.isLeader = false;
+    clearInterval(heartbeat);
+    clearTimeout(watchdog);
+    heartbeat = null;
+    watchdog = null;
+    channel.onmessage = null;
+    channel.close();
+  };
+
+  const beat = function () {
+    coordinator.post({ type: "heartbeat", lastEventId: source.lastEventId });
+  };
+
+  const setLeader = function (leader) {
+    coordinator.leader = leader;
+    source.isLeader = leader;
+    const event = createEvent("leaderchange");
+    event.leader = leader;
+    source.dispatchEvent(event);
+  };
+
+  // Take over if no leader is heard from within the given delay.
+  const watch = function (delay) {
+    clearTimeout(watchdog);
+    watchdog = setTimeout(elect, delay);
+  };
+
+  const elect = function () {
+    clearTimeout(watchdog);
+    watchdog = null;
+    leaderId = id;
+    setLeader(true);
+    beat();
+    heartbeat = setInterval(beat, options.heartbeatInterval);
+
+    if (source.readyState !== SSE.CONNECTING) {
+      source._setReadyState(SSE.CONNECTING);
+    }
+    source._connect();
+  };
+
+  const stepDown = function (newLeaderId) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    clearTimeout(source.reconnectTimer);
+    source.reconnectTimer = null;
+
+    const connection = source.connection;
+    source._resetConnection();
+    if (connection) {
+      connection.abort();
+    }
+
+    leaderId = newLeaderId;
+    setLeader(false);
+    watch(options.leaderTimeout);
+  };
+
+  channel.onmessage = function (e) {
+    const message = e.data;
+    if (coordinator.leader) {
+      if (message.type === "query") {
+        beat();
+        // Bring the new tab up to date with the current connection: the
+        // open message was only relayed when it was established.
+        if (source.readyState === SSE.OPEN && source._openResult) {
+          coordinator.post({
+            type: "state",
+            to: message.from,
+            readyState: source.readyState,
+            responseCode: source._openResult.responseCode,
+            headers: source._openResult.headers,
+          });
+        }
+      } else if (message.type === "heartbeat") {
+        if (message.from < id) {
+          stepDown(message.from);
+        } else {
+          beat();
+        }
+      }
+      return;
+    }
+
+    if (message.type === "heartbeat") {
+      leaderId = message.from;
+      if (message.lastEventId) {
+        source.lastEventId = message.lastEventId;
+      }
+    }
+    if (message.from !== leaderId) {
+      return;
+    }
+    watch(options.leaderTimeout);
+
+    switch (message.type) {
+      case "resign":
+        if (message.lastEventId) {
+          source.lastEventId = message.lastEventId;
+        }
+        elect();
+        break;
+      case "open":
+        source._onStreamOpen(message.responseCode, message.headers);
+        break;
+      case "state":
+        if (
+          message.to === id &&
+          message.readyState === SSE.OPEN &&
+          source.readyState !== SSE.OPEN
+        ) {
+          source._onStreamOpen(message.responseCode, message.headers);
+        }
+        break;
+      case "data": {
+        // Start over with each new connection of the leader.
+        const connection = message.from + ":" + message.connection;
+        if (connection !== relayed) {
+          source._parser.reset();
+          relayed = connection;
+        }
+        source._feed(message.data);
+        break;
+      }
+      case "loaded":
+        source._parser.end();
+        relayed = null;
+        break;
+      case "error": {
+        const event = createEvent("error");
+        event.responseCode = message.responseCode;
+        event.data = message.data;
+        source.dispatchEvent(event);
+        break;
+      }
+      case "connecting":
+        if (source.readyState !== SSE.CONNECTING) {
+          source._setReadyState(SSE.CONNECTING);
+        }
+        break;
+      case "end":
+        stop();
+        source._tabs = null;
+        source._setReadyState(SSE.CLOSED);
+        break;
+    }
+  };
+
+  coordinator.post({ type: "query" });
+  watch(options.heartbeatInterval);
+  return coordinator;
+}
+
+/**
+ * @param {string} text
+ * @return {number} the length of the text once encoded in UTF-8, in bytes
+ */
+function utf8Length(text) {
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      length += 1;
+    } else if (code < 0x800) {
+      length += 2;
+    } else if (code >= 0xd800 && code < 0xdc00) {
+      // High surrogate: the pair encodes to 4 bytes, counted here.
+      length += 4;
+    } else if (code < 0xdc00 || code >= 0xe000) {
+      length += 3;
+    }
+  }
+  return length;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} whether the value is a promise, or promise-like
+ */
+function isPromiseLike(value) {
+  return (
+    value !== null &&
+    (typeof value === "object" || typeof value === "function") &&
+    typeof value.then === "function"
+  );
+}
+
+/**
+ * Parse the raw response headers string returned by
+ * XMLHttpRequest.getAllResponseHeaders() into a map of lowercased header
+ * names to arrays of values.
+ *
+ * @param {string} raw
+ * @return {Object.<string, string[]>}
+ */
+function parseResponseHeaders(raw) {
+  const headers = {};
+  const headerPairs = raw.trim().split("\r\n");
+  for (const headerPair of headerPairs) {
+    const [key, ...valueParts] = headerPair.split(":");
+    const value = valueParts.join(":").trim();
+    // Ensure the header value is always an array
+    headers[key.trim().toLowerCase()] =
+      headers[key.trim().toLowerCase()] || [];
+    headers[key.trim().toLowerCase()].push(value);
+  }
+  return headers;
+}
+
+/**
+ * XMLHttpRequest-based transport, used by default when XMLHttpRequest is
+ * available.
+ *
+ * @type SSETransportFactory
+ */
+function xhrTransport(request, handlers) {
+  const xhr = new XMLHttpRequest();
+  let offset = 0;
+
+  const onProgress = function () {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      handlers.onError(xhr.status, xhr.response);
+      return;
+    }
+
+    const data = xhr.responseText.substring(offset);
+    offset += data.length;
+    handlers.onData(data);
+  };
+
+  xhr.addEventListener("progress", onProgress);
+  xhr.addEventListener("load", function () {
+    onProgress();
+    handlers.onEnd();
+  });
+  xhr.addEventListener("readystatechange", function () {
+    if (xhr.readyState === XHR_HEADERS_RECEIVED) {
+      handlers.onResponse(
+        xhr.status,
+        parseResponseHeaders(xhr.getAllResponseHeaders())
+      );
+    }
+  });
+  xhr.addEventListener("error", function () {
+    handlers.onError(xhr.status, xhr.response);
+  });
+  xhr.addEventListener("abort", function () {
+    handlers.onAbort();
+  });
+
+  xhr.open(request.method, request.url);
+  for (let header in request.headers) {
+    xhr.setRequestHeader(header, request.headers[header]);
+  }
+  xhr.withCredentials = request.withCredentials;
+  xhr.send(request.payload);
+
+  return {
+    xhr: xhr,
+    abort: function () {
+      xhr.abort();
+    },
+  };
+}
+
+/**
+ * Call a transport handler, reporting an exception it throws asynchronously
+ * instead of letting it reject the promise chain of the transport.
+ *
+ * @param {Function} handler
+ * @param {...*} args
+ * @return {void}
+ */
+function callHandler(handler, ...args) {
+  try {
+    handler(...args);
+  } catch (error) {
+    if (typeof reportError === "function") {
+      reportError(error);
+    } else {
+      setTimeout(function () {
+        throw error;
+      }, 0);
+    }
+  }
+}
+
+/**
+ * fetch()-based transport, reading the response body as a stream. Used by
+ * default when XMLHttpRequest is not available (service workers, edge
+ * runtimes). The transport options are passed through to fetch() as
+ * additional request init options (keepalive, priority, cache, redirect,
+ * signal, ...).
+ *
+ * @type SSETransportFactory
+ */
+function fetchTransport(request, handlers) {
+  const options = request.options || {};
+  const controller = new AbortController();
+  const init = Object.assign(
+    { credentials: request.withCredentials ? "include" : "same-origin" },
+    options,
+    {
+      method: request.method,
+      headers: request.headers,
+      signal: controller.signal,
+    }
+  );
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    init.body = request.payload;
+  }
+
+  let finished = false;
+
+  // Abort the request when the caller-provided signal is aborted.
+  const onSignalAbort = function () {
+    controller.abort();
+  };
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    } else {
+      options.signal.addEventListener("abort", onSignalAbort, { once: true });
+    }
+  }
+
+  // Only ever report one terminal outcome for the request.
+  const finish = function (callback) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (options.signal) {
+      options.signal.removeEventListener("abort", onSignalAbort);
+    }
+    callback();
+  };
+
+  // Only failures of the request and of reading the response fail the
+  // connection. Exceptions thrown by the handlers (from event listeners) are
+  // reported without interrupting the stream, as they are with XHR.
+  const fail = function (error) {
+    if (controller.signal.aborted) {
+      // Once the caller-provided signal is aborted, every request made with
+      // it would be aborted too: the abort is final.
+      const final = Boolean(options.signal && options.signal.aborted);
+      finish(() => callHandler(handlers.onAbort, final));
+      return;
+    }
+
+    finish(() => callHandler(handlers.onError, 0, error));
+    controller.abort();
+  };
+
+  fetch(request.url, init).then(function (response) {
+    const headers = {};
+    response.headers.forEach(function (value, key) {
+      headers[key.toLowerCase()] = [value];
+    });
+    if (finished) {
+      return;
+    }
+    callHandler(handlers.onResponse, response.status, headers);
+
+    if (!response.ok) {
+      response.text().then(function (body) {
+        finish(() => callHandler(handlers.onError, response.status, body));
+      }, fail);
+      return;
+    }
+
+    if (!response.body) {
+      response.text().then(function (body) {
+        finish(() => {
+          callHandler(handlers.onData, body);
+          callHandler(handlers.onEnd);
+        });
+      }, fail);
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const read = function () {
+      reader.read().then(function (result) {
+        if (finished) {
+          return;
+        }
+        if (result.done) {
+          finish(() => {
+            const rest = decoder.decode();
+            if (rest.length > 0) {
+              callHandler(handlers.onData, rest);
+            }
+            callHandler(handlers.onEnd);
+          });
+          return;
+        }
+
+        callHandler(
+          handlers.onData,
+          decoder.decode(result.value, { stream: true })
+        );
+        read();
+      }, fail);
+    };
+    read();
+  }, fail);
+
+  return {
+    abort: function () {
+      // Report the abort right away, like XHR does; the rejections that
+      // follow are ignored.
+      finish(() => handlers.onAbort());
+      controller.abort();
+    },
+  };
+}
+
+/**
+ * Built-in transports, selectable by name through the `transport` option.
+ * The Node.js entry point (lib/node.js) registers an additional `node`
+ * transport.
+ *
+ * @type {Object.<string, SSETransportFactory>}
+ */
+SSE.transports = {
+  xhr: xhrTransport,
+  fetch: fetchTransport,
+};
+
+/**
+ * Built-in storages for the last event ID, selectable by name through the
+ * `persistence` option.
+ *
+ * @type {Object.<string, SSEPersistenceStorage>}
+ */
+SSE.storages = {
+  localStorage: webStorage("localStorage"),
+  sessionStorage: webStorage("sessionStorage"),
+  indexedDB: indexedDBStorage(),
+};
+
+/**
+ * Parser for the text/event-stream format. Text or bytes are fed in as they
+ * are received; complete events are parsed and handed to the onEvent
+ * callback, and the last event ID and reconnection time are tracked across
+ * events, per the spec.
+ *
+ * Reference: https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+ *
+ * @type SSEParser
+ * @param {SSEParserOptions} [options]
+ * @return {SSEParser}
+ */
+var SSEParser = function (options) {
+  options = options || {};
+
+  /** @type {SSEParsedEventHandler|null} */
+  this.onEvent = options.onEvent || null;
+  /** @type {((delay: number) => void)|null} */
+  this.onRetry = options.onRetry || null;
+  /** @type {((lastEventId: string) => void)|null} */
+  this.onLastEventId = options.onLastEventId || null;
+  /** @type {boolean} */
+  this.dispatchIncomplete = !!options.dispatchIncomplete;
+
+  /** @type {string} */
+  this.lastEventId = options.lastEventId || "";
+  /**
+   * Received text that doesn't form a complete event yet.
+   * @type {string}
+   */
+  this.buffer = "";
+  /** @type {boolean} */
+  this._started = false;
+  /** @type {TextDecoder|null} */
+  this._decoder = null;
+
+  /**
+   * Feed the next chunk of the stream to the parser, dispatching the events
+   * it completes.
+   * @type Feed
+   * @return {void}
+   */
+  this.feed = function (chunk) {
+    let text = chunk;
+    if (typeof chunk !== "string") {
+      // The BOM is handled below, like for text chunks.
+      this._decoder =
+        this._decoder || new TextDecoder("utf-8", { ignoreBOM: true });
+      text = this._decoder.decode(chunk, { stream: true });
+    }
+
+    // Strip the UTF-8 BOM from the start of the stream (per SSE spec 9.2.5)
+    if (!this._started) {
+      if (text.length === 0) {
+        return;
+      }
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.substring(1);
+      }
+      this._started = true;
+    }
+
+    // Events end with a blank line; lines end with CRLF, LF or CR. The last
+    // part can be incomplete, so keep it until more text is received.
+    const parts = (this.buffer + text).split(
+      /(?:\r\n|\r(?!\n)|\n)(?:\r\n|\r(?!\n)|\n)/g
+    );
+    this.buffer = parts.pop();
+    parts.forEach((part) => {
+      if (part.trim().length > 0) {
+        this.parse(part);
+      }
+    });
+  };
+
+  /**
+   * The stream ended: discard the incomplete event, if any, unless
+   * dispatchIncomplete is set, and get ready for a new stream.
+   * @type End
+   * @return {void}
+   */
+  this.end = function () {
+    const rest = this.buffer + (this._decoder ? this._decoder.decode() : "");
+    this.reset();
+    if (this.dispatchIncomplete) {
+      this.parse(rest);
+    }
+  };
+
+  /**
+   * Forget about the text received so far, to parse a new stream. The last
+   * event ID is kept.
+   * @type Reset
+   * @return {void}
+   */
+  this.reset = function () {
+    this.buffer = "";
+    this._started = false;
+    this._decoder = null;
+  };
+
+  /**
+   * Parse a complete event, without its trailing blank line. Returns the
+   * parsed event, if it has data to dispatch.
+   * @type Parse
+   * @return {SSEParsedEvent|null}
+   */
+  this.parse = function (text) {
+    if (!text || text.length === 0) {
+      return null;
+    }
+
+    const e = { id: null, retry: null, data: null, event: null };
+    text.split(/\n|\r\n|\r/).forEach(function (line) {
+      const index = line.indexOf(":");
+      let field, value;
+      if (index > 0) {
+        // only first whitespace should be trimmed
+        const skip = line[index + 1] === " " ? 2 : 1;
+        field = line.substring(0, index);
+        value = line.substring(index + skip);
+      } else if (index < 0) {
+        // Interpret the entire line as the field name, and use the empty string as the field value
+        field = line;
+        value = "";
+      } else {
+        // A colon is the first character. This is a comment; ignore it.
+        return;
+      }
+
+      if (!(field in e)) {
+        return;
+      }
+
+      // Per spec, ignore IDs containing NULL, and non-numeric retry values,
+      // without discarding a previous valid value in the same event.
+      if (
+        (field === "id" && value.indexOf("\0") !== -1) ||
+        (field === "retry" && !/^[0-9]+$/.test(value))
+      ) {
+        return;
+      }
+
+      // consecutive 'data' is concatenated with newlines
+      if (field === "data" && e[field] !== null) {
+        e["data"] += "\n" + value;
+      } else {
+        e[field] = value;
+      }
+    });
+
+    // Update lastEventId per spec. This must happen before checking data, so
+    // lastEventId is updated even if no event is dispatched
+    if (e.id !== null && e.id !== this.lastEventId) {
+      this.lastEventId = e.id;
+      if (this.onLastEventId) {
+        this.onLastEventId(e.id);
+      }
+    }
+
+    const retry = e.retry !== null ? parseInt(e.retry, 10) : null;
+    if (retry !== null && this.onRetry) {
+      this.onRetry(retry);
+    }
+
+    if (e.data === null) {
+      // If we parsed the event and did not extract any data, it was a
+      // comment or only had other fields; don't dispatch it.
+      return null;
+    }
+
+    const event = {
+      type: e.event || "message",
+      data: e.data,
+      id: e.id,
+      lastEventId: this.lastEventId,
+      retry: retry,
+      raw: text,
+    };
+    if (this.onEvent) {
+      this.onEvent(event);
+    }
+    return event;
+  };
+};
+
+/**
+ * Create a TransformStream parsing a stream of text or bytes into a stream
+ * of events, to pipe a fetch() response body or any other stream through.
+ *
+ * @type TransformStreamFactory
+ * @return {TransformStream<string | BufferSource, SSEParsedEvent>}
+ */
+SSEParser.transformStream = function (options) {
+  let parser;
+  return new TransformStream({
+    start: function (controller) {
+      parser = new SSEParser(
+        Object.assign({}, options, {
+          onEvent: (event) => controller.enqueue(event),
+        })
+      );
+    },
+    transform: function (chunk) {
+      parser.feed(chunk);
+    },
+    flush: function () {
+      parser.end();
+    },
+  });
+};
+
+/**
+ * Format an event for an event stream. Multi-line data is sent as multiple
+ * data fields; data that isn't a string is serialized to JSON.
+ *
+ * @param {SSEWriterEvent} event
+ * @return {string}
+ */
+function formatEvent(event) {
+  let text = "";
+  if (event.id !== undefined && event.id !== null) {
+    const id = String(event.id);
+    if (/[\0\r\n]/.test(id)) {
+      throw new TypeError("SSE event IDs can't contain NULL or newlines");
+    }
+    text += "id: " + id + "\n";
+  }
+  if (event.event) {
+    if (/[\r\n]/.test(event.event)) {
+      throw new TypeError("SSE event types can't contain newlines");
+    }
+    text += "event: " + event.event + "\n";
+  }
+  if (event.retry !== undefined && event.retry !== null) {
+    if (!Number.isInteger(event.retry) || event.retry < 0) {
+      throw new TypeError(`Invalid SSE retry delay: ${event.retry}`);
+    }
+    text += "retry: " + event.retry + "\n";
+  }
+  if (event.data !== undefined && event.data !== null) {
+    const data =
+      typeof event.data === "string" ? event.data : JSON.stringify(event.data);
+    data.split(/\r\n|\r|\n/).forEach(function (line) {
+      text += "data: " + line + "\n";
+    });
+  }
+  return text + "\n";
+}
+
+/**
+ * Format a comment for an event stream. Comments are ignored by clients,
+ * which makes them useful as heartbeats.
+ *
+ * @param {string} [comment]
+ * @return {string}
+ */
+function formatComment(comment) {
+  return (comment || "")
+    .split(/\r\n|\r|\n/)
+    .map((line) => (line ? ": " + line : ":") + "\n")
+    .join("");
+}
+
+/**
+ * Write events to an event stream: a Node.js ServerResponse, or any object
+ * with write() and end() methods, or a web WritableStream, in which case the
+ * events are written as UTF-8 encoded bytes.
+ *
+ * @type SSEWriter
+ * @param {SSEWriterTarget} target
+ * @param {SSEWriterOptions} [options]
+ * @return {SSEWriter}
+ */
+var SSEWriter = function (target, options) {
+  options = options || {};
+
+  /** @type {SSEWriterTarget} */
+  this.target = target;
+  /** @type {boolean} */
+  this.closed = false;
+  /** @type {WritableStreamDefaultWriter|null} */
+  this._writer =
+    typeof target.getWriter === "function" ? target.getWriter() : null;
+  /** @type {TextEncoder|null} */
+  this._encoder = this._writer ? new TextEncoder() : null;
+  /** @type {number|null} */
+  this._heartbeat = null;
+
+  /**
+   * Send an event.
+   * @type Send
+   * @return {boolean | Promise<void>} the result of the write to the target
+   */
+  this.send = function (event) {
+    return this._write(formatEvent(event));
+  };
+
+  /**
+   * Send a comment.
+   * @type Comment
+   * @return {boolean | Promise<void>} the result of the write to the target
+   */
+  this.comment = function (comment) {
+    return this._write(formatComment(comment));
+  };
+
+  /**
+   * Stop the heartbeats and end the stream.
+   * @type Close
+   * @return {void}
+   */
+  this.close = function () {
+    if (this.closed) {
+      return;
+    }
+    this._stop();
+    if (this._writer) {
+      this._writer.close().then(null, function () {});
+    } else {
+      this.target.end();
+    }
+  };
+
+  /**
+   * @private
+   * @param {string} text
+   */
+  this._write = function (text) {
+    if (this.closed) {
+      throw new Error("SSEWriter is closed");
+    }
+    if (this._writer) {
+      return this._writer.write(this._encoder.encode(text));
+    }
+    return this.target.write(text);
+  };
+
+  /**
+   * The stream was closed, by us or by the client.
+   * @private
+   */
+  this._stop = function () {
+    this.closed = true;
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+  };
+
+  if (this._writer) {
+    const stop = () => this._stop();
+    this._writer.closed.then(stop, stop);
+  } else {
+    if (typeof target.setHeader === "function" && !target.headersSent) {
+      target.setHeader("Content-Type", "text/event-stream");
+      target.setHeader("Cache-Control", "no-cache");
+    }
+    if (typeof target.on === "function") {
+      target.on("close", () => this._stop());
+    }
+  }
+
+  if (options.heartbeat) {
+    this._heartbeat = setInterval(() => {
+      const result = this.comment("");
+      // A failed write errors the stream, which stops the writer through
+      // the closed promise of the stream writer.
+      if (this._writer) {
+        result.then(null, function () {});
+      }
+    }, options.heartbeat);
+  }
+};
+
+/**
+ * Record what the transport of an SSE instance reports into a trace: the
+ * requests made, the response status codes and headers, the raw chunks of
+ * the response bodies as they were received, and how each connection
+ * ended, along with the ready state changes of the stream. Every record is
+ * timestamped. Attach the recorder before the stream starts (for instance
+ * with `start: false`) to capture its first connection.
+ *
+ * The trace is JSON-serializable, and can be fed back into an SSE instance
+ * with createReplayTransport(). Headers named in the redactHeaders option of
+ * the SSE instance are redacted.
+ *
+ * @type SSERecorder
+ * @param {SSE} sse
+ * @return {SSERecorder}
+ */
+var SSERecorder = function (sse) {
+  /** @type {SSE} */
+  this.sse = sse;
+  /** @type {number} */
+  this.startedAt = Date.now();
+  /** @type {SSETraceConnection[]} */
+  this.connections = [];
+  /** @type {SSETraceReadyState[]} */
+  this.readyStates = [];
+  /** @type {boolean} */
+  this.recording = true;
+
+  const recorder = this;
+  const transport = sse.transport;
+  const factory = sse._getTransport();
+  const setReadyState = sse._setReadyState;
+
+  /**
+   * Get the trace recorded so far.
+   * @type Trace
+   * @return {SSETrace}
+   */
+  this.trace = function () {
+    return {
+      version: 1,
+      url: this.sse.url,
+      startedAt: this.startedAt,
+      connections: this.connections,
+      readyStates: this.readyStates,
+    };
+  };
+
+  this.toJSON = this.trace;
+
+  /**
+   * Stop recording, detaching the recorder from the SSE instance. The
+   * connection in progress, if any, is still recorded until it ends.
+   * @type Stop
+   * @return {void}
+   */
+  this.stop = function () {
+    if (!this.recording) {
+      return;
+    }
+    this.recording = false;
+    this.sse.transport = transport;
+    this.sse._setReadyState = setReadyState;
+  };
+
+  /**
+   * @private
+   * @param {Object.<string, string | string[]>} headers
+   * @return {Object.<string, string[]>}
+   */
+  this._redact = function (headers) {
+    const result = this.sse._redact(headers);
+    for (const key in result) {
+      result[key] = [].concat(result[key]);
+    }
+    return result;
+  };
+
+  sse._setReadyState = function (state) {
+    recorder.readyStates.push({
+      time: Date.now() - recorder.startedAt,
+      readyState: state,
+    });
+    setReadyState.call(this, state);
+  };
+
+  sse.transport = function (request, handlers) {
+    const start = Date.now();
+    const connection = {
+      time: start - recorder.startedAt,
+      request: {
+        url: request.url,
+        method: request.method,
+        headers: recorder._redact(request.headers),
+      },
+      records: [],
+    };
+    recorder.connections.push(connection);
+
+    const record = function (entry) {
+      entry.time = Date.now() - start;
+      connection.records.push(entry);
+    };
+
+    return factory(request, {
+      onResponse: function (responseCode, headers) {
+        record({
+          type: "response",
+          responseCode: responseCode,
+          headers: recorder._redact(headers),
+        });
+        handlers.onResponse(responseCode, headers);
+      },
+      onData: function (data) {
+        if (data.length > 0) {
+          record({ type: "data", data: data });
+        }
+        handlers.onData(data);
+      },
+      onEnd: function () {
+        record({ type: "end" });
+        handlers.onEnd();
+      },
+      onError: function (responseCode, data) {
+        record({
+          type: "error",
+          responseCode: responseCode,
+          data:
+            data === null || data === undefined || typeof data === "string"
+              ? data
+              : String(data),
+        });
+        handlers.onError(responseCode, data);
+      },
+      onAbort: function () {
+        record({ type: "abort" });
+        handlers.onAbort();
+      },
+    });
+  };
+};
+
+/**
+ * Create a transport replaying a trace recorded by SSERecorder. Each
+ * connection SSE opens replays the next connection of the trace, with its
+ * response, chunks and outcome; once they are exhausted, connections fail.
+ * The records are delivered all at once, or with the timing they were
+ * recorded with if the `realtime` option is set. Connections that were
+ * aborted stay open after their last chunk, until SSE aborts them.
+ *
+ * @param {SSETrace} trace
+ * @param {SSEReplayOptions} [options]
+ * @return {SSETransportFactory}
+ */
+function createReplayTransport(trace, options) {
+  options = options || {};
+  const connections = trace.connections.slice();
+
+  return function (request, handlers) {
+    const connection = connections.shift();
+    const records = connection
+      ? connection.records
+      : [
+          {
+            type: "error",
+            time: 0,
+            responseCode: 0,
+            data: "No more connections to replay",
+          },
+        ];
+    const timers = [];
+    let finished = false;
+
+    // An exception thrown by a listener is reported without stopping the
+    // replay of the remaining records.
+    const replay = function (record) {
+      if (finished) {
+        return;
+      }
+      switch (record.type) {
+        case "response":
+          callHandler(handlers.onResponse, record.responseCode, record.headers);
+          break;
+        case "data":
+          callHandler(handlers.onData, record.data);
+          break;
+        case "end":
+          finished = true;
+          callHandler(handlers.onEnd);
+          break;
+        case "error":
+          finished = true;
+          callHandler(handlers.onError, record.responseCode, record.data);
+          break;
+      }
+    };
+
+    if (options.realtime) {
+      records.forEach(function (record) {
+        timers.push(setTimeout(() => replay(record), record.time));
+      });
+    } else {
+      Promise.resolve().then(function () {
+        records.forEach(replay);
+      });
+    }
+
+    return {
+      abort: function () {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        timers.forEach(clearTimeout);
+        handlers.onAbort();
+      },
+    };
+  };
+}
+
+/**
+ * A pool of streams shared between subscribers. Subscribers to the same URL
+ * with the same headers share one underlying SSE stream, which is opened
+ * when the first listener is added and closed once the last subscriber has
+ * unsubscribed, after an optional grace period.
+ *
+ * @type SSEPool
+ * @param {SSEPoolOptions} [options]
+ * @return {SSEPool}
+ */
+var SSEPool = function (options) {
+  options = options || {};
+
+  /** @type {number} */
+  this.gracePeriod = options.gracePeriod || 0;
+  /** @type {Object.<string, SSEPoolEntry>} */
+  this.entries = {};
+  /** @type {Map<Function, number>} */
+  this._functionIds = new Map();
+
+  /**
+   * Subscribe to the shared stream for the given URL and options. The
+   * options of the first subscriber are used to create the stream.
+   * @type Subscribe
+   * @return {SSESubscription}
+   */
+  this.subscribe = function (url, options) {
+    options = options || {};
+    const key = this._key(url, options.headers);
+    let entry = this.entries[key];
+    if (!entry) {
+      entry = this._createEntry(key, url, options);
+    }
+
+    clearTimeout(entry.closeTimer);
+    entry.closeTimer = null;
+    entry.subscribers++;
+
+    const pool = this;
+    const source = entry.source;
+    let listeners = [];
+    let subscribed = true;
+
+    const remove = function (l) {
+      source.removeEventListener(l.type, l.wrapper);
+      if (l.detach) {
+        l.detach();
+      }
+    };
+
+    const subscription = {
+      source: source,
+      addEventListener: function (type, listener, listenerOptions) {
+        const signal =
+          listenerOptions &&
+          typeof listenerOptions === "object" &&
+          listenerOptions.signal;
+        if (!subscribed || (signal && signal.aborted)) {
+          return;
+        }
+        if (listeners.some((l) => l.type === type && l.listener === listener)) {
+          return;
+        }
+        // Each subscriber adds its own wrapper of the listener, so that
+        // subscribers adding the same listener can remove it independently.
+        const wrapper = (e) => listener(e);
+        const registration = {
+          type: type,
+          listener: listener,
+          wrapper: wrapper,
+          detach: null,
+        };
+        // The subscription handles the signal itself, to forget the listener
+        // along with its wrapper.
+        if (signal) {
+          const onAbort = () =>
+            subscription.removeEventListener(type, listener);
+          signal.addEventListener("abort", onAbort, { once: true });
+          registration.detach = () =>
+            signal.removeEventListener("abort", onAbort);
+        }
+        listeners.push(registration);
+        source.addEventListener(type, wrapper);
+        if (source.readyState === SSE.INITIALIZING) {
+          source.stream();
+        }
+      },
+      removeEventListener: function (type, listener) {
+        listeners = listeners.filter((l) => {
+          if (l.type !== type || l.listener !== listener) {
+            return true;
+          }
+          remove(l);
+          return false;
+        });
+      },
+      unsubscribe: function () {
+        if (!subscribed) {
+          return;
+        }
+        subscribed = false;
+        listeners.forEach(remove);
+        listeners = [];
+        pool._release(key, entry);
+      },
+    };
+    return subscription;
+  };
+
+  /** @private */
+  this._createEntry = function (key, url, options) {
+    const entry = {
+      source: new SSE(url, Object.assign({}, options, { start: false })),
+      subscribers: 0,
+      closeTimer: null,
+    };
+
+    // Forget streams that closed for good, so that the next subscriber gets
+    // a fresh one.
+    entry.source._addReadyStateListener((readyState) => {
+      if (readyState === SSE.CLOSED && !entry.source._reconnectPending()) {
+        this._forget(key, entry);
+      }
+    });
+
+    this.entries[key] = entry;
+    return entry;
+  };
+
+  /** @private */
+  this._release = function (key, entry) {
+    entry.subscribers--;
+    if (entry.subscribers > 0) {
+      return;
+    }
+
+    const close = () => {
+      entry.closeTimer = null;
+      this._forget(key, entry);
+      entry.source.close();
+    };
+    if (this.gracePeriod > 0) {
+      entry.closeTimer = setTimeout(close, this.gracePeriod);
+    } else {
+      close();
+    }
+  };
+
+  /** @private */
+  this._forget = function (key, entry) {
+    if (this.entries[key] === entry) {
+      delete this.entries[key];
+    }
+  };
+
+  /**
+   * Build the key identifying a shared stream. Header names are compared
+   * case-insensitively; dynamic URLs and headers are compared by identity.
+   * @private
+   */
+  this._key = function (url, headers) {
+    const id = (fn) => {
+      if (!this._functionIds.has(fn)) {
+        this._functionIds.set(fn, this._functionIds.size);
+      }
+      return "\0" + this._functionIds.get(fn);
+    };
+
+    const key = [typeof url === "function" ? id(url) : String(url)];
+    if (typeof headers === "function") {
+      key.push(id(headers));
+    } else if (headers) {
+      const names = Object.keys(headers);
+      key.push.apply(
+        key,
+        names.map((name) => name.toLowerCase() + ": " + headers[name]).sort()
+      );
+    }
+    return key.join("\n");
+  };
+};
+
+/**
+ * Pool used by SSE.shared().
+ *
+ * @type {SSEPool}
+ */
+SSE.pool = new SSEPool();
+
+/**
+ * Subscribe to a stream shared with the other subscribers to the same URL
+ * and headers, from the default pool.
+ *
+ * @type Subscribe
+ * @return {SSESubscription}
+ */
+SSE.shared = function (url, options) {
+  return SSE.pool.subscribe(url, options);
+};
+
+/**
+ * A standards-compliant EventSource: SSE in strict mode, following the
+ * WHATWG semantics exactly, with the EventSource constructor signature.
+ *
+ * @type SSEEventSource
+ * @param {string | URL} url
+ * @param {SSEEventSourceInit} [eventSourceInitDict]
+ * @return {SSEEventSource}
+ */
+var EventSource = function (url, eventSourceInitDict) {
+  if (!(this instanceof EventSource)) {
+    throw new TypeError("EventSource must be constructed with 'new'");
+  }
+  if (arguments.length === 0) {
+    throw new TypeError("EventSource requires a URL");
+  }
+
+  let resolved;
+  try {
+    resolved = new URL(url, baseUrl()).href;
+  } catch (error) {
+    const message = `Invalid EventSource URL: ${url}`;
+    throw typeof DOMException === "function"
+      ? new DOMException(message, "SyntaxError")
+      : new SyntaxError(message);
+  }
+
+  this.onopen = null;
+  this.onmessage = null;
+  this.onerror = null;
+  SSE.call(this, resolved, {
+    headers: { Accept: "text/event-stream" },
+    withCredentials: !!(
+      eventSourceInitDict && eventSourceInitDict.withCredentials
+    ),
+    strict: true,
+  });
+};
+EventSource.prototype = Object.create(SSE.prototype);
+EventSource.prototype.constructor = EventSource;
+["CONNECTING", "OPEN", "CLOSED"].forEach(function (state) {
+  EventSource[state] = SSE[state];
+  EventSource.prototype[state] = SSE[state];
+});
+
+/** @type {SSEEventSource} */
+SSE.EventSource = EventSource;
+
+/**
+ * Install SSE.EventSource as the global EventSource, unless there already
+ * is a native one and the `force` option isn't set.
+ *
+ * @type Polyfill
+ * @return {SSEEventSource} the global EventSource
+ */
+SSE.polyfill = function (options) {
+  if (
+    typeof globalThis.EventSource === "undefined" ||
+    (options && options.force)
+  ) {
+    globalThis.EventSource = EventSource;
+  }
+  return globalThis.EventSource;
+};
 
 // Export as an ECMAScript module
-export { SSE };
+export {
+  SSE,
+  SSEPool,
+  SSEParser,
+  SSEWriter,
+  SSERecorder,
+  formatEvent,
+  formatComment,
+  createReplayTransport,
+};
 
 /**
  * @typedef { {[key: string]: string} } SSEHeaders
@@ -431,28 +3551,274 @@ export { SSE };
 /**
  * @typedef {Blob | ArrayBuffer | DataView | FormData | URLSearchParams | string | null} SSEPayload
  */
+/**
+ * @typedef {Object} SSEConnectContext
+ * @property {number} attempt - 0 for the initial connection, then the reconnection attempt number
+ * @property {string} lastEventId - the last seen event ID
+ */
+/**
+ * A value, or a function evaluated before each connection attempt that
+ * returns the value or a promise of it.
+ * @template T
+ * @typedef {T | ((context: SSEConnectContext) => T | Promise<T>)} SSEDynamic
+ */
 /**
  * @typedef {Object} SSEOptions
- * @property {SSEHeaders} [headers] - headers
- * @property {SSEPayload} [payload] - payload
+ * @property {SSEDynamic<SSEHeaders>} [headers] - headers
+ * @property {SSEDynamic<SSEPayload>} [payload] - payload
  * @property {string} [method] - HTTP Method
  * @property {boolean} [withCredentials] - flag, if credentials needed
  * @property {boolean} [start] - flag, if streaming should start automatically
  * @property {boolean} [debug] - debugging flag
+ * @property {boolean} [strict] - follow the WHATWG EventSource semantics exactly
  * @property {boolean} [autoReconnect] - flag, if connection should auto-reconnect on disconnect/error
  * @property {number} [reconnectDelay] - delay in ms before reconnecting
  * @property {number|null} [maxRetries] - maximum number of reconnect attempts
  * @property {boolean} [useLastEventId] - flag, if Last-Event-ID header should be sent
+ * @property {SSETransportName | SSETransportFactory} [transport] - transport to use for the connection
+ * @property {Object} [transportOptions] - additional, transport-specific options
+ * @property {SSEBackoff} [backoff] - exponential backoff policy for reconnection attempts
+ * @property {number|null} [maxResponseSize] - number of characters after which the connection is transparently cycled
+ * @property {number|null} [idleTimeout] - time in ms without receiving data after which the stream is considered stalled
+ * @property {SSEAuthErrorHandler} [onAuthError] - called on 401/403 responses to get fresh headers to reconnect with
+ * @property {SSEDecode} [decode] - decoder for the data of all events, or map of event types to decoders
+ * @property {AbortSignal} [signal] - signal closing the stream when aborted
+ * @property {boolean | SSECrossTabOptions} [crossTab] - share the stream with the other tabs of the same origin
+ * @property {SSEStorageName | SSEPersistenceStorage | SSEPersistenceOptions} [persistence] - storage to save and restore the last event ID with
+ * @property {boolean | SSEDedupeOptions} [dedupe] - suppress events whose ID was already seen
+ * @property {boolean} [pauseWhenOffline] - suspend reconnection while the network is offline
+ * @property {boolean | number} [pauseWhenHidden] - close the stream while the page is hidden, after the given delay in ms
+ * @property {boolean | SSEBatchOptions} [batch] - dispatch the events received from the stream in batches
+ * @property {string[] | SSECoalesceKey} [coalesce] - event types, or key function, of the queued events to only keep the latest of
+ * @property {SSEMetricHandler} [onMetric] - called with each metric of the stream, for telemetry
+ * @property {SSELogger} [logger] - logger to send structured records to, console when debug is set
+ * @property {SSELogLevel} [logLevel] - minimum level of the records to log, "info" by default
+ * @property {string[]} [redactHeaders] - names of the request headers to mask in the records
+ */
+/**
+ * @typedef {Object} SSELogger
+ * @property {(message: string, record: SSELogRecord) => void} debug
+ * @property {(message: string, record: SSELogRecord) => void} info
+ * @property {(message: string, record: SSELogRecord) => void} warn
+ * @property {(message: string, record: SSELogRecord) => void} error
+ */
+/**
+ * @typedef {"debug" | "info" | "warn" | "error" | "silent"} SSELogLevel
+ */
+/**
+ * @typedef {Object} SSELogRecord
+ * @property {number|null} connectionId - identifier of the current, or last, connection
+ * @property {string|null} url - URL of the stream
+ * @property {number} attempt - number of the current reconnection attempt
+ * @property {number} readyState - the ready state of the stream
+ * @property {string} [eventType] - type of the dispatched event
+ * @property {number} [bytes] - number of bytes received
+ */
+/**
+ * @callback SSEMetricHandler
+ * @param {"bytes" | "event" | "open" | "reconnect"} name - name of the metric
+ * @param {number} value - value of the metric
+ * @param {Object.<string, *>} attributes - attributes of the metric
+ * @returns {void}
+ */
+/**
+ * @typedef {"error" | "timeout" | "end" | "abort"} SSECloseReason
+ */
+/**
+ * @typedef {Object} SSEStats
+ * @property {number} readyState - the current ready state
+ * @property {number} bytesReceived - number of bytes received from the stream
+ * @property {Object.<string, number>} eventsDispatched - number of events dispatched, by type
+ * @property {number | null} timeToOpen - time in ms it took to open the last connection
+ * @property {number | null} timeSinceLastByte - time in ms since data was last received
+ * @property {number} retryCount - number of consecutive reconnection attempts
+ * @property {number} reconnectAttempts - total number of reconnection attempts
+ * @property {Object.<string, number>} reconnectReasons - number of reconnections, by reason
+ * @property {SSECloseReason | null} lastReconnectReason - reason of the last reconnection
+ * @property {number | null} backoffDelay - delay in ms before the last reconnection attempt
+ */
+/**
+ * @callback SSECoalesceKey
+ * @param {SSEvent} event
+ * @returns {string | null | undefined} the key of the event, or null for events that are not coalesced
+ */
+/**
+ * @typedef {Object} SSEBatchOptions
+ * @property {"animationFrame" | "microtask" | number} [schedule] - when to dispatch the next batch, defaults to "animationFrame"
+ * @property {number} [maxSize] - maximum number of events per batch, unbounded by default
+ * @property {"events" | "batch"} [mode] - dispatch the events to their listeners, or as a single `batch` event, defaults to "events"
+ */
+/**
+ * @typedef {"offline" | "hidden"} SSEPauseReason
+ */
+/**
+ * @typedef {Object} SSEDedupeOptions
+ * @property {number} [maxSize] - number of IDs to remember, defaults to 1000, or unbounded with a window
+ * @property {number | null} [window] - time in ms during which IDs are remembered, defaults to no limit
+ */
+/**
+ * @typedef {"localStorage" | "sessionStorage" | "indexedDB"} SSEStorageName
+ */
+/**
+ * @typedef {Object} SSEPersistenceStorage
+ * @property {(key: string) => string | null | undefined | Promise<string | null | undefined>} get - read the saved ID
+ * @property {(key: string, value: string) => void | Promise<void>} set - save the ID
+ */
+/**
+ * @typedef {Object} SSEPersistenceOptions
+ * @property {SSEStorageName | SSEPersistenceStorage} storage - storage to use
+ * @property {string} [key] - key to save the ID under, defaults to one derived from the url
+ */
+/**
+ * @typedef {Object} SSEPersistence
+ * @property {SSEPersistenceStorage} storage
+ * @property {string} key
+ */
+/**
+ * @typedef {Object} SSECrossTabOptions
+ * @property {string} [channel] - name of the BroadcastChannel, defaults to one derived from the url
+ * @property {number} [heartbeatInterval] - time in ms between heartbeats of the leader tab, defaults to 1000
+ * @property {number} [leaderTimeout] - time in ms without heartbeats after which another tab takes over, defaults to 3000
+ */
+/**
+ * @typedef {Object} SSETabCoordinator
+ * @property {boolean} leader - whether this tab holds the connection
+ * @property {(message: Object) => void} post - relay a message to the other tabs
+ * @property {() => void} close - leave the channel, handing the stream over if leading
+ * @property {() => void} end - tell the other tabs that the stream ended, and leave the channel
+ */
+/**
+ * @typedef {Object} SSEReadyResult
+ * @property {number} responseCode - the response status code
+ * @property {Object.<string, string[]>} headers - the response headers
+ */
+/**
+ * @typedef {Object} SSEOnceOptions
+ * @property {number} [timeout] - time in ms after which the promise is rejected
+ */
+/**
+ * @typedef {Object} SSEListenerOptions
+ * @property {AbortSignal} [signal] - signal removing the listener when aborted
+ */
+/**
+ * @callback SSEDecoderFunction
+ * @param {string} data - the raw event data
+ * @param {SSEvent} event - the event being decoded
+ * @returns {*}
+ */
+/**
+ * @typedef {"json" | SSEDecoderFunction} SSEDecoder
+ */
+/**
+ * @typedef {SSEDecoder | Object.<string, SSEDecoder>} SSEDecode
+ */
+/**
+ * @callback SSEAuthErrorHandler
+ * @param {SSEvent} event - the `unauthorized` event
+ * @returns {SSEHeaders | Promise<SSEHeaders>}
+ */
+/**
+ * @typedef {Object} SSEBackoff
+ * @property {number} [initialDelay] - base delay in ms, defaults to reconnectDelay
+ * @property {number} [multiplier] - factor applied to the delay on each attempt, defaults to 2
+ * @property {number} [maxDelay] - maximum delay in ms, defaults to 30000
+ * @property {"none" | "full" | "equal" | "decorrelated"} [jitter] - jitter strategy, defaults to "full"
+ */
+/**
+ * @typedef {Object} SSEEventsOptions
+ * @property {string[]} [types] - event types to iterate over, defaults to `["message"]`
+ * @property {number} [highWaterMark] - maximum number of queued events, unbounded by default
+ * @property {"drop-oldest" | "drop-newest" | "error"} [overflow] - what to do when the queue is full
+ */
+/**
+ * @typedef {Object} SSEPoolOptions
+ * @property {number} [gracePeriod] - time in ms to keep a stream open after its last subscriber left
+ */
+/**
+ * @typedef {Object} SSEPoolEntry
+ * @property {SSE} source - the shared stream
+ * @property {number} subscribers - number of active subscribers
+ * @property {number | null} closeTimer - timer closing the stream after the grace period
+ */
+/**
+ * @typedef {Object} SSESubscription
+ * @property {SSE} source - the shared stream
+ * @property {AddEventListener} addEventListener
+ * @property {RemoveEventListener} removeEventListener
+ * @property {() => void} unsubscribe - remove this subscriber's listeners and release the stream
+ */
+/**
+ * @typedef {"xhr" | "fetch" | "node"} SSETransportName
+ */
+/**
+ * @typedef {Object} SSETransportRequest
+ * @property {string} url - URL to connect to
+ * @property {string} method - HTTP Method
+ * @property {SSEHeaders} headers - request headers, including Last-Event-ID
+ * @property {SSEPayload} payload - payload
+ * @property {boolean} withCredentials - flag, if credentials needed
+ * @property {Object} options - the transport options
+ */
+/**
+ * @typedef {Object} SSETransportHandlers
+ * @property {(responseCode: number, headers: Object.<string, string[]>) => void} onResponse - response headers were received
+ * @property {(data: string) => void} onData - a chunk of the response body was received
+ * @property {() => void} onEnd - the response body was fully received
+ * @property {(responseCode: number, data: *) => void} onError - the request failed
+ * @property {(final?: boolean) => void} onAbort - the request was aborted; `final` when no further request can be made, and the stream must not reconnect
+ */
+/**
+ * @typedef {Object} SSEConnection
+ * @property {() => void} abort - abort the request
+ * @property {XMLHttpRequest} [xhr] - the underlying XMLHttpRequest, if any
+ */
+/**
+ * @callback SSETransportFactory
+ * @param {SSETransportRequest} request
+ * @param {SSETransportHandlers} handlers
+ * @returns {SSEConnection}
  */
 /**
  * @typedef {Object} _SSEvent
  * @property {string} id
  * @property {*} data
+ * @property {*} [parsed]
  * @property {SSE} [source]
  * @property {number} [responseCode]
  * @property {string} [lastEventId]
  * @property {Object.<string, string[]>} [headers]
  */
+/**
+ * @typedef {Object} _ReconnectingEvent
+ * @property {number} delay
+ * @property {number} attempt
+ */
+/**
+ * @typedef {Object} _TimeoutEvent
+ * @property {number} idleTimeout
+ */
+/**
+ * @typedef {Object} _LeaderChangeEvent
+ * @property {boolean} leader
+ */
+/**
+ * @typedef {Object} _DuplicateEvent
+ * @property {string} eventType
+ */
+/**
+ * @typedef {Object} _PauseEvent
+ * @property {SSEPauseReason} reason
+ */
+/**
+ * @typedef {Object} _BatchEvent
+ * @property {SSEvent[]} events
+ */
+/**
+ * @typedef {Object} _ParseErrorEvent
+ * @property {string} eventType
+ * @property {string} chunk
+ * @property {*} error
+ */
 /**
  * @typedef {Object} _ReadyStateEvent
  * @property {number} readyState
@@ -463,10 +3829,32 @@ export { SSE };
 /**
  * @typedef {SSEvent & _ReadyStateEvent} ReadyStateEvent
  */
+/**
+ * @typedef {SSEvent & _ReconnectingEvent} ReconnectingEvent
+ */
+/**
+ * @typedef {SSEvent & _TimeoutEvent} TimeoutEvent
+ */
+/**
+ * @typedef {SSEvent & _LeaderChangeEvent} LeaderChangeEvent
+ */
+/**
+ * @typedef {SSEvent & _DuplicateEvent} DuplicateEvent
+ */
+/**
+ * @typedef {SSEvent & _PauseEvent} PauseEvent
+ */
+/**
+ * @typedef {SSEvent & _BatchEvent} BatchEvent
+ */
+/**
+ * @typedef {SSEvent & _ParseErrorEvent} ParseErrorEvent
+ */
 /**
  * @callback AddEventListener
  * @param {string} type
  * @param {function} listener
+ * @param {SSEListenerOptions | boolean} [options]
  * @returns {void}
  */
 /**
@@ -488,6 +3876,36 @@ export { SSE };
  * @callback Close
  * @returns {void}
  */
+/**
+ * @callback Ready
+ * @returns {Promise<SSEReadyResult>}
+ */
+/**
+ * @callback Once
+ * @param {string} type
+ * @param {SSEOnceOptions} [options]
+ * @returns {Promise<SSEvent>}
+ */
+/**
+ * @callback Events
+ * @param {SSEEventsOptions} [options]
+ * @returns {AsyncIterableIterator<SSEvent>}
+ */
+/**
+ * @callback Stats
+ * @returns {SSEStats}
+ */
+/**
+ * @callback Polyfill
+ * @param {SSEPolyfillOptions} [options]
+ * @returns {SSEEventSource}
+ */
+/**
+ * @callback Subscribe
+ * @param {SSEDynamic<string>} url
+ * @param {SSEOptions} [options]
+ * @returns {SSESubscription}
+ */
 /**
  * @callback OnMessage
  * @param {SSEvent} event
@@ -520,17 +3938,28 @@ export { SSE };
  */
 /**
  * @typedef {Object} SSE
- * @property {SSEHeaders} headers - headers
- * @property {SSEPayload} payload - payload
+ * @property {SSEDynamic<string>} url - URL to connect to
+ * @property {SSEDynamic<SSEHeaders>} headers - headers
+ * @property {SSEDynamic<SSEPayload>} payload - payload
  * @property {string} method - HTTP Method
  * @property {boolean} withCredentials - flag, if credentials needed
  * @property {boolean} debug - debugging flag
+ * @property {boolean} strict - flag, if the WHATWG EventSource semantics are followed exactly
  * @property {boolean} autoReconnect - flag, if connection should auto-reconnect
  * @property {number} reconnectDelay - delay in ms before reconnecting
+ * @property {SSEBackoff | null} backoff - exponential backoff policy for reconnection attempts
+ * @property {number | null} maxResponseSize - number of characters after which the connection is transparently cycled
+ * @property {number | null} idleTimeout - time in ms without receiving data after which the stream is considered stalled
+ * @property {SSEAuthErrorHandler | null} onAuthError - called on 401/403 responses to get fresh headers to reconnect with
+ * @property {SSEDecode | null} decode - decoder for the data of all events, or map of event types to decoders
+ * @property {AbortSignal | null} signal - signal closing the stream when aborted
  * @property {number|null} maxRetries - maximum number of reconnect attempts
  * @property {boolean} useLastEventId - flag, if Last-Event-ID header should be sent
+ * @property {SSETransportName | SSETransportFactory | null} transport - transport to use for the connection
+ * @property {Object} transportOptions - additional, transport-specific options
  * @property {string} FIELD_SEPARATOR
  * @property {Record<string, Function[]>} listeners
+ * @property {SSEConnection | null} connection
  * @property {XMLHttpRequest | null} xhr
  * @property {number} readyState
  * @property {number} progress
@@ -544,6 +3973,11 @@ export { SSE };
  * @property {DispatchEvent} dispatchEvent
  * @property {Stream} stream
  * @property {Close} close
+ * @property {Events} events
+ * @property {Stats} stats
+ * @property {Ready} ready
+ * @property {Once} once
+ * @property {Promise<void>} closed
  * @property {OnMessage} onmessage
  * @property {OnOpen} onopen
  * @property {OnLoad} onload
@@ -551,3 +3985,172 @@ export { SSE };
  * @property {OnError} onerror
  * @property {OnAbort} onabort
  */
+/**
+ * @typedef {Object} SSEEventSourceInit
+ * @property {boolean} [withCredentials] - flag, if credentials needed
+ */
+/**
+ * @typedef {Object} SSEPolyfillOptions
+ * @property {boolean} [force] - replace the native EventSource, if any
+ */
+/**
+ * @typedef {Object} SSEEventSource
+ * @property {0} CONNECTING
+ * @property {1} OPEN
+ * @property {2} CLOSED
+ */
+/**
+ * @typedef {Object} SSEPool
+ * @property {number} gracePeriod
+ * @property {Object.<string, SSEPoolEntry>} entries
+ * @property {Subscribe} subscribe
+ */
+/**
+ * @typedef {Object} SSEParserOptions
+ * @property {SSEParsedEventHandler} [onEvent] - called with each event parsed from the stream
+ * @property {(delay: number) => void} [onRetry] - called with each reconnection time received, in ms
+ * @property {(lastEventId: string) => void} [onLastEventId] - called when the last event ID changes
+ * @property {string} [lastEventId] - last event ID to start from
+ * @property {boolean} [dispatchIncomplete] - dispatch an incomplete event at the end of the stream, instead of discarding it
+ */
+/**
+ * @typedef {Object} SSEParsedEvent
+ * @property {string} type - type of the event, "message" by default
+ * @property {string} data - data of the event
+ * @property {string|null} id - ID of the event, if it has one
+ * @property {string} lastEventId - last event ID of the stream, as of this event
+ * @property {number|null} retry - reconnection time set by the event, in ms
+ * @property {string} raw - text of the event, as received
+ */
+/**
+ * @callback SSEParsedEventHandler
+ * @param {SSEParsedEvent} event
+ * @returns {void}
+ */
+/**
+ * @callback Feed
+ * @param {string | BufferSource} chunk - text, or UTF-8 encoded bytes
+ * @returns {void}
+ */
+/**
+ * @callback End
+ * @returns {void}
+ */
+/**
+ * @callback Reset
+ * @returns {void}
+ */
+/**
+ * @callback Parse
+ * @param {string} text - text of the event, without the blank line ending it
+ * @returns {SSEParsedEvent|null}
+ */
+/**
+ * @callback TransformStreamFactory
+ * @param {SSEParserOptions} [options]
+ * @returns {TransformStream<string | BufferSource, SSEParsedEvent>}
+ */
+/**
+ * @typedef {Object} SSEParser
+ * @property {SSEParsedEventHandler|null} onEvent
+ * @property {((delay: number) => void)|null} onRetry
+ * @property {((lastEventId: string) => void)|null} onLastEventId
+ * @property {boolean} dispatchIncomplete
+ * @property {string} lastEventId
+ * @property {string} buffer
+ * @property {Feed} feed
+ * @property {End} end
+ * @property {Reset} reset
+ * @property {Parse} parse
+ * @property {TransformStreamFactory} transformStream
+ */
+/**
+ * @typedef {Object} SSEWriterEvent
+ * @property {string|number} [id] - ID of the event
+ * @property {string} [event] - type of the event
+ * @property {*} [data] - data of the event, serialized to JSON if it isn't a string
+ * @property {number} [retry] - reconnection time to set, in ms
+ */
+/**
+ * @typedef {Object} SSEWriterOptions
+ * @property {number} [heartbeat] - interval between heartbeat comments, in ms
+ */
+/**
+ * @typedef {Object} SSEWriterResponse
+ * @property {(chunk: string) => boolean} write
+ * @property {() => void} end
+ * @property {(name: string, value: string) => void} [setHeader]
+ * @property {boolean} [headersSent]
+ * @property {(event: "close", listener: () => void) => void} [on]
+ */
+/**
+ * @typedef {SSEWriterResponse | WritableStream<Uint8Array>} SSEWriterTarget
+ */
+/**
+ * @callback Send
+ * @param {SSEWriterEvent} event
+ * @returns {boolean | Promise<void>}
+ */
+/**
+ * @callback Comment
+ * @param {string} [comment]
+ * @returns {boolean | Promise<void>}
+ */
+/**
+ * @typedef {Object} SSEWriter
+ * @property {SSEWriterTarget} target
+ * @property {boolean} closed
+ * @property {Send} send
+ * @property {Comment} comment
+ * @property {Close} close
+ */
+/**
+ * @typedef {Object} SSETraceRecord
+ * @property {"response" | "data" | "end" | "error" | "abort"} type - what the transport reported
+ * @property {number} time - time since the start of the connection, in ms
+ * @property {number} [responseCode] - status code of a response or error
+ * @property {Object.<string, string[]>} [headers] - headers of a response
+ * @property {*} [data] - chunk of data, or data of an error
+ */
+/**
+ * @typedef {Object} SSETraceConnection
+ * @property {number} time - time since the start of the recording, in ms
+ * @property {{url: string, method: string, headers: Object.<string, string[]>}} request - the request made
+ * @property {SSETraceRecord[]} records - what the transport reported for this connection
+ */
+/**
+ * @typedef {Object} SSETraceReadyState
+ * @property {number} time - time since the start of the recording, in ms
+ * @property {number} readyState - the new ready state
+ */
+/**
+ * @typedef {Object} SSETrace
+ * @property {1} version - version of the trace format
+ * @property {string} url - URL of the recorded stream
+ * @property {number} startedAt - start time of the recording, in ms since the epoch
+ * @property {SSETraceConnection[]} connections - connections made, in order
+ * @property {SSETraceReadyState[]} readyStates - ready state changes of the stream
+ */
+/**
+ * @typedef {Object} SSEReplayOptions
+ * @property {boolean} [realtime] - replay the records with the timing they were recorded with
+ */
+/**
+ * @callback Trace
+ * @returns {SSETrace}
+ */
+/**
+ * @callback Stop
+ * @returns {void}
+ */
+/**
+ * @typedef {Object} SSERecorder
+ * @property {SSE} sse
+ * @property {number} startedAt
+ * @property {SSETraceConnection[]} connections
+ * @property {SSETraceReadyState[]} readyStates
+ * @property {boolean} recording
+ * @property {Trace} trace
+ * @property {Trace} toJSON
+ * @property {Stop} stop
+ */
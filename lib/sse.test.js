@@ -29,7 +29,16 @@
  * Related: https://github.com/mpetazzoni/sse.js/issues/108
  */
 
-import { SSE } from "sse.js";
+import {
+  SSE,
+  SSEPool,
+  SSEParser,
+  SSEWriter,
+  SSERecorder,
+  formatEvent,
+  formatComment,
+  createReplayTransport,
+} from "sse.js";
 
 // =============================================================================
 // Mock Setup
@@ -224,6 +233,3646 @@ describe("SSE Event Listener Management", () => {
   });
 });
 
+// =============================================================================
+// SSE.js Features: Transports
+// =============================================================================
+
+function createFetchResponse(chunks, init) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  return new Response(body, init);
+}
+
+function waitForEvent(sse, type) {
+  return new Promise((resolve) => {
+    sse.addEventListener(type, resolve);
+  });
+}
+
+function waitForReadyState(sse, state) {
+  return new Promise((resolve) => {
+    sse.addEventListener("readystatechange", (e) => {
+      if (e.readyState === state) resolve();
+    });
+  });
+}
+
+describe("SSE Transports", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("should use the XHR transport by default", () => {
+    const sse = new SSE("http://example.com");
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+    expect(sse.connection.xhr).toBe(sse.xhr);
+  });
+
+  it("should fall back to fetch when XMLHttpRequest is not available", async () => {
+    const nodeTransport = SSE.transports.node;
+    delete SSE.transports.node;
+    delete global.XMLHttpRequest;
+    global.fetch = jest.fn(() =>
+      Promise.resolve(createFetchResponse(["data: hello\n\n"]))
+    );
+
+    try {
+      const sse = new SSE("http://example.com");
+      expect(sse.xhr).toBeNull();
+      await waitForEvent(sse, "message");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    } finally {
+      SSE.transports.node = nodeTransport;
+    }
+  });
+
+  it("should dispatch events when CustomEvent is not available", () => {
+    const CustomEventImpl = global.CustomEvent;
+    delete global.CustomEvent;
+
+    try {
+      const listener = jest.fn();
+      const sse = new SSE("http://example.com");
+      sse.addEventListener("message", listener);
+      sse.xhr.responseText = "data: hello\n\n";
+      sse.xhr.trigger("progress", {});
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].type).toBe("message");
+      expect(listener.mock.calls[0][0].data).toBe("hello");
+    } finally {
+      global.CustomEvent = CustomEventImpl;
+    }
+  });
+
+  it("should stream events from a fetch response body", async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve(
+        createFetchResponse(["id: 1\ndata: hel", "lo\n\ndata: world\n\n"], {
+          headers: { "Content-Type": "text/event-stream" },
+        })
+      )
+    );
+
+    const listener = jest.fn();
+    const onOpen = jest.fn();
+    const sse = new SSE("http://example.com", { transport: "fetch" });
+    sse.addEventListener("message", listener);
+    sse.addEventListener("open", onOpen);
+    await waitForReadyState(sse, SSE.CLOSED);
+
+    expect(onOpen.mock.calls[0][0].responseCode).toBe(200);
+    expect(onOpen.mock.calls[0][0].headers["content-type"]).toStrictEqual([
+      "text/event-stream",
+    ]);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[0][0].data).toBe("hello");
+    expect(listener.mock.calls[1][0].data).toBe("world");
+    expect(sse.lastEventId).toBe("1");
+  });
+
+  it("should keep reading the fetch response when a listener throws", async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve(createFetchResponse(["data: a\n\n", "data: b\n\n"]))
+    );
+    const reportError = global.reportError;
+    global.reportError = jest.fn();
+
+    try {
+      const error = new Error("listener failed");
+      const listener = jest.fn((e) => {
+        if (e.data === "a") {
+          throw error;
+        }
+      });
+      const onError = jest.fn();
+      const sse = new SSE("http://example.com", { transport: "fetch" });
+      sse.addEventListener("message", listener);
+      sse.addEventListener("error", onError);
+      await waitForReadyState(sse, SSE.CLOSED);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0].data).toBe("b");
+      expect(onError).not.toHaveBeenCalled();
+      expect(global.reportError).toHaveBeenCalledWith(error);
+    } finally {
+      global.reportError = reportError;
+    }
+  });
+
+  it("should decode multi-byte characters split across fetch chunks", async () => {
+    const bytes = new TextEncoder().encode("data: \u4e16\n\n");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 7));
+        controller.enqueue(bytes.slice(7));
+        controller.close();
+      },
+    });
+    global.fetch = jest.fn(() => Promise.resolve(new Response(body)));
+
+    const sse = new SSE("http://example.com", { transport: "fetch" });
+    const event = await waitForEvent(sse, "message");
+    expect(event.data).toBe("\u4e16");
+  });
+
+  it("should pass the request and transport options to fetch", () => {
+    global.fetch = jest.fn(() => new Promise(() => {}));
+
+    const sse = new SSE("http://example.com", {
+      transport: "fetch",
+      headers: { "X-Custom": "value" },
+      payload: "body",
+      withCredentials: true,
+      transportOptions: { keepalive: true, cache: "no-store" },
+      start: false,
+    });
+    sse.lastEventId = "event-1";
+    sse.stream();
+
+    const init = global.fetch.mock.calls[0][1];
+    expect(global.fetch.mock.calls[0][0]).toBe("http://example.com");
+    expect(init.method).toBe("POST");
+    expect(init.body).toBe("body");
+    expect(init.credentials).toBe("include");
+    expect(init.keepalive).toBe(true);
+    expect(init.cache).toBe("no-store");
+    expect(init.headers).toStrictEqual({
+      "X-Custom": "value",
+      "Last-Event-ID": "event-1",
+    });
+  });
+
+  it("should dispatch an error for non-2xx fetch responses", async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve(new Response("nope", { status: 500 }))
+    );
+
+    const sse = new SSE("http://example.com", { transport: "fetch" });
+    const event = await waitForEvent(sse, "error");
+    expect(event.responseCode).toBe(500);
+    expect(event.data).toBe("nope");
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should dispatch abort when a fetch connection is closed", async () => {
+    global.fetch = jest.fn(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        })
+    );
+
+    const sse = new SSE("http://example.com", { transport: "fetch" });
+    const aborted = waitForEvent(sse, "abort");
+    sse.close();
+    await aborted;
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(sse.connection).toBeNull();
+  });
+
+  it("should abort the fetch request when the transport signal is aborted", async () => {
+    global.fetch = jest.fn(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        })
+    );
+
+    const controller = new AbortController();
+    const sse = new SSE("http://example.com", {
+      transport: "fetch",
+      transportOptions: { signal: controller.signal },
+    });
+    const aborted = waitForEvent(sse, "abort");
+    controller.abort();
+    await aborted;
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should not reconnect once the transport signal is aborted", async () => {
+    global.fetch = jest.fn(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        })
+    );
+
+    const controller = new AbortController();
+    const removeEventListener = jest.spyOn(
+      controller.signal,
+      "removeEventListener"
+    );
+    const sse = new SSE("http://example.com", {
+      transport: "fetch",
+      transportOptions: { signal: controller.signal },
+      autoReconnect: true,
+      reconnectDelay: 10,
+    });
+    const aborted = waitForEvent(sse, "abort");
+    controller.abort();
+    await aborted;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(sse.reconnectTimer).toBeNull();
+    expect(removeEventListener).toHaveBeenCalledWith(
+      "abort",
+      expect.any(Function)
+    );
+  });
+
+  it("should close a fetch connection right away", async () => {
+    let signal;
+    global.fetch = jest.fn((url, init) => {
+      signal = init.signal;
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError"))
+        );
+      });
+    });
+
+    const onAbort = jest.fn();
+    const sse = new SSE("http://example.com", { transport: "fetch" });
+    sse.addEventListener("abort", onAbort);
+    sse.close();
+
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(signal.aborted).toBe(true);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(onAbort).toHaveBeenCalledTimes(1);
+  });
+
+  it("should support custom transport factories", () => {
+    let handlers;
+    const abort = jest.fn();
+    const transport = jest.fn((request, h) => {
+      handlers = h;
+      return { abort };
+    });
+    const listener = jest.fn();
+
+    const sse = new SSE("http://example.com", {
+      transport,
+      headers: { "X-Custom": "value" },
+      transportOptions: { foo: "bar" },
+    });
+    sse.addEventListener("message", listener);
+
+    expect(transport.mock.calls[0][0]).toStrictEqual({
+      url: "http://example.com",
+      method: "GET",
+      headers: { "X-Custom": "value" },
+      payload: "",
+      withCredentials: false,
+      options: { foo: "bar" },
+    });
+
+    handlers.onResponse(200, {});
+    expect(sse.readyState).toBe(SSE.OPEN);
+    handlers.onData("data: hello\n\n");
+    expect(listener.mock.calls[0][0].data).toBe("hello");
+
+    sse.close();
+    expect(abort).toHaveBeenCalledTimes(1);
+    handlers.onAbort();
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should ignore callbacks from a closed connection", () => {
+    const connections = [];
+    const transport = (request, handlers) => {
+      connections.push(handlers);
+      return { abort: () => handlers.onAbort() };
+    };
+    const listener = jest.fn();
+
+    const sse = new SSE("http://example.com", { transport });
+    sse.addEventListener("message", listener);
+    sse.close();
+    sse.stream();
+
+    connections[0].onData("data: stale\n\n");
+    connections[1].onData("data: fresh\n\n");
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].data).toBe("fresh");
+  });
+
+  it("should throw on unknown transport names", () => {
+    expect(
+      () => new SSE("http://example.com", { transport: "carrier-pigeon" })
+    ).toThrow("Unknown SSE transport: carrier-pigeon");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Async Iteration
+// =============================================================================
+
+describe("SSE Async Iteration", () => {
+  let sse;
+
+  beforeEach(() => {
+    sse = new SSE("http://example.com");
+  });
+
+  it("should iterate over message events with for await", async () => {
+    const received = [];
+    const consumed = (async () => {
+      for await (const event of sse) {
+        received.push(event.data);
+      }
+    })();
+
+    sse.xhr.responseText = "data: first\n\ndata: second\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("load", {});
+
+    await consumed;
+    expect(received).toStrictEqual(["first", "second"]);
+  });
+
+  it("should deliver events received while waiting", async () => {
+    const iterator = sse[Symbol.asyncIterator]();
+    const next = iterator.next();
+
+    sse.xhr.responseText = "data: later\n\n";
+    sse.xhr.trigger("progress", {});
+
+    const result = await next;
+    expect(result.done).toBe(false);
+    expect(result.value.data).toBe("later");
+  });
+
+  it("should only iterate over the requested event types", async () => {
+    const iterator = sse.events({ types: ["message", "update"] });
+    sse.xhr.responseText =
+      "data: one\n\nevent: other\ndata: two\n\nevent: update\ndata: three\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect((await iterator.next()).value.data).toBe("one");
+    const update = (await iterator.next()).value;
+    expect(update.type).toBe("update");
+    expect(update.data).toBe("three");
+  });
+
+  it("should close the stream when breaking out of the loop", async () => {
+    const xhr = sse.xhr;
+    const received = [];
+    const consumed = (async () => {
+      for await (const event of sse) {
+        received.push(event.data);
+        break;
+      }
+    })();
+
+    sse.xhr.responseText = "data: first\n\ndata: second\n\n";
+    sse.xhr.trigger("progress", {});
+
+    await consumed;
+    expect(received).toStrictEqual(["first"]);
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(sse.listeners.message).toBeUndefined();
+  });
+
+  it("should start the stream on first iteration if not started", async () => {
+    sse = new SSE("http://example.com", { start: false });
+    const next = sse.events().next();
+    expect(sse.readyState).toBe(SSE.CONNECTING);
+
+    sse.xhr.responseText = "data: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    expect((await next).value.data).toBe("hello");
+  });
+
+  it("should reject the pending next() on stream failure", async () => {
+    const next = sse.events().next();
+    sse.xhr.status = 500;
+    sse.xhr.trigger("progress", {});
+
+    await expect(next).rejects.toThrow("SSE stream failed (500)");
+  });
+
+  it("should deliver queued events before the failure", async () => {
+    const iterator = sse.events();
+    sse.xhr.responseText = "data: first\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("error", {});
+
+    expect((await iterator.next()).value.data).toBe("first");
+    await expect(iterator.next()).rejects.toThrow("SSE stream failed");
+    expect((await iterator.next()).done).toBe(true);
+  });
+
+  it("should keep iterating while auto-reconnect handles errors", async () => {
+    jest.useFakeTimers();
+    try {
+      sse = new SSE("http://example.com", {
+        autoReconnect: true,
+        reconnectDelay: 100,
+      });
+      const iterator = sse.events();
+      const next = iterator.next();
+      sse.xhr.trigger("error", {});
+      expect(sse.reconnectTimer).not.toBeNull();
+
+      jest.advanceTimersByTime(100);
+      sse.xhr.responseText = "data: reconnected\n\n";
+      sse.xhr.trigger("progress", {});
+      expect((await next).value.data).toBe("reconnected");
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("should end the iteration when the stream is closed", async () => {
+    const next = sse.events().next();
+    sse.close();
+    sse.xhr.trigger("abort", {});
+
+    expect(await next).toStrictEqual({ value: undefined, done: true });
+  });
+
+  it("should end cleanly when closed after a handled error", async () => {
+    jest.useFakeTimers();
+    try {
+      sse = new SSE("http://example.com", {
+        autoReconnect: true,
+        reconnectDelay: 100,
+      });
+      const iterator = sse.events();
+      sse.xhr.trigger("error", {});
+      jest.advanceTimersByTime(100);
+      sse.xhr.responseText = "data: reconnected\n\n";
+      sse.xhr.trigger("progress", {});
+      expect((await iterator.next()).value.data).toBe("reconnected");
+
+      const next = iterator.next();
+      sse.close();
+      sse.xhr.trigger("abort", {});
+      expect(await next).toStrictEqual({ value: undefined, done: true });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("should end cleanly when closed while reconnecting", async () => {
+    sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    const next = sse.events().next();
+    sse.xhr.trigger("error", {});
+    sse.close();
+
+    expect(await next).toStrictEqual({ value: undefined, done: true });
+  });
+
+  it("should settle every pending next() in order", async () => {
+    const iterator = sse.events();
+    const first = iterator.next();
+    const second = iterator.next();
+    const third = iterator.next();
+
+    sse.xhr.responseText = "data: first\n\ndata: second\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.close();
+    sse.xhr.trigger("abort", {});
+
+    expect((await first).value.data).toBe("first");
+    expect((await second).value.data).toBe("second");
+    expect(await third).toStrictEqual({ value: undefined, done: true });
+  });
+
+  it("should finish right away on a stream that already ended", async () => {
+    sse.xhr.trigger("load", {});
+    expect(sse.readyState).toBe(SSE.CLOSED);
+
+    const received = [];
+    for await (const event of sse) {
+      received.push(event);
+    }
+    expect(received).toStrictEqual([]);
+  });
+
+  describe("Queue overflow", () => {
+    const push = (count) => {
+      for (let i = 0; i < count; i++) {
+        sse.xhr.responseText += `data: ${i}\n\n`;
+      }
+      sse.xhr.trigger("progress", {});
+    };
+
+    it("should drop the oldest events by default", async () => {
+      const iterator = sse.events({ highWaterMark: 2 });
+      push(4);
+
+      expect((await iterator.next()).value.data).toBe("2");
+      expect((await iterator.next()).value.data).toBe("3");
+    });
+
+    it("should drop the newest events", async () => {
+      const iterator = sse.events({
+        highWaterMark: 2,
+        overflow: "drop-newest",
+      });
+      push(4);
+
+      expect((await iterator.next()).value.data).toBe("0");
+      expect((await iterator.next()).value.data).toBe("1");
+    });
+
+    it("should fail the iteration and close the stream", async () => {
+      const xhr = sse.xhr;
+      const iterator = sse.events({ highWaterMark: 2, overflow: "error" });
+      push(3);
+
+      expect(xhr.abort).toHaveBeenCalledTimes(1);
+      expect((await iterator.next()).value.data).toBe("0");
+      expect((await iterator.next()).value.data).toBe("1");
+      await expect(iterator.next()).rejects.toThrow(
+        "SSE event queue overflow (highWaterMark: 2)"
+      );
+    });
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Reconnection Backoff
+// =============================================================================
+
+describe("SSE Reconnection Backoff", () => {
+  let random;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    random = jest.spyOn(Math, "random").mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    random.mockRestore();
+    jest.useRealTimers();
+  });
+
+  function fail(sse) {
+    sse.xhr.trigger("error", {});
+  }
+
+  it("should reconnect after a fixed delay without a backoff policy", () => {
+    const onReconnecting = jest.fn();
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      reconnectDelay: 1000,
+    });
+    sse.addEventListener("reconnecting", onReconnecting);
+
+    fail(sse);
+    jest.advanceTimersByTime(1000);
+    fail(sse);
+
+    expect(onReconnecting.mock.calls[0][0].delay).toBe(1000);
+    expect(onReconnecting.mock.calls[0][0].attempt).toBe(1);
+    expect(onReconnecting.mock.calls[1][0].delay).toBe(1000);
+    expect(onReconnecting.mock.calls[1][0].attempt).toBe(2);
+  });
+
+  it("should grow the delay exponentially up to the maximum", () => {
+    const delays = [];
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: {
+        initialDelay: 100,
+        multiplier: 3,
+        maxDelay: 1000,
+        jitter: "none",
+      },
+    });
+    sse.addEventListener("reconnecting", (e) => delays.push(e.delay));
+
+    for (let i = 0; i < 4; i++) {
+      fail(sse);
+      jest.advanceTimersByTime(delays[i]);
+    }
+    expect(delays).toStrictEqual([100, 300, 900, 1000]);
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(5);
+  });
+
+  it("should apply full jitter", () => {
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: { initialDelay: 1000 },
+    });
+    const onReconnecting = jest.fn();
+    sse.addEventListener("reconnecting", onReconnecting);
+
+    random.mockReturnValue(0.25);
+    fail(sse);
+    expect(onReconnecting.mock.calls[0][0].delay).toBe(250);
+  });
+
+  it("should apply equal jitter", () => {
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: { initialDelay: 1000, jitter: "equal" },
+    });
+    const onReconnecting = jest.fn();
+    sse.addEventListener("reconnecting", onReconnecting);
+
+    random.mockReturnValue(0);
+    fail(sse);
+    expect(onReconnecting.mock.calls[0][0].delay).toBe(500);
+  });
+
+  it("should apply decorrelated jitter based on the previous delay", () => {
+    const delays = [];
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: { initialDelay: 100, maxDelay: 1000, jitter: "decorrelated" },
+    });
+    sse.addEventListener("reconnecting", (e) => delays.push(e.delay));
+
+    random.mockReturnValue(1);
+    for (let i = 0; i < 5; i++) {
+      fail(sse);
+      jest.advanceTimersByTime(delays[i]);
+    }
+    expect(delays).toStrictEqual([200, 400, 800, 1000, 1000]);
+  });
+
+  it("should use the server retry field as the base delay", () => {
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: { initialDelay: 100, jitter: "none" },
+    });
+    const onReconnecting = jest.fn();
+    sse.addEventListener("reconnecting", onReconnecting);
+
+    sse.xhr.responseText = "retry: 500\n\n";
+    sse.xhr.trigger("progress", {});
+    fail(sse);
+    expect(onReconnecting.mock.calls[0][0].delay).toBe(500);
+  });
+
+  it("should reset the backoff after a successful connection", () => {
+    const delays = [];
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      backoff: { initialDelay: 100, jitter: "none" },
+    });
+    sse.addEventListener("reconnecting", (e) => delays.push(e.delay));
+
+    fail(sse);
+    jest.advanceTimersByTime(100);
+    fail(sse);
+    jest.advanceTimersByTime(200);
+    sse.xhr.responseText = "data: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("load", {});
+
+    expect(delays).toStrictEqual([100, 200, 100]);
+  });
+
+  it("should not dispatch reconnecting once max retries is reached", () => {
+    const onReconnecting = jest.fn();
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      maxRetries: 1,
+      reconnectDelay: 100,
+    });
+    sse.addEventListener("reconnecting", onReconnecting);
+
+    fail(sse);
+    jest.advanceTimersByTime(100);
+    fail(sse);
+
+    expect(onReconnecting).toHaveBeenCalledTimes(1);
+    expect(sse.autoReconnect).toBe(false);
+    expect(sse.reconnectTimer).toBeNull();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Bounded-memory Streaming
+// =============================================================================
+
+describe("SSE Bounded-memory Streaming", () => {
+  let sse;
+  let listener;
+
+  beforeEach(() => {
+    listener = jest.fn();
+    sse = new SSE("http://example.com", { maxResponseSize: 30 });
+    sse.addEventListener("message", listener);
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  });
+
+  it("should cycle the connection once the threshold is crossed", () => {
+    const onOpen = jest.fn();
+    const onReadyStateChange = jest.fn();
+    sse.addEventListener("open", onOpen);
+    sse.addEventListener("readystatechange", onReadyStateChange);
+    const xhr = sse.xhr;
+
+    xhr.responseText = "id: 1\ndata: first\n\nid: 2\ndata: second\n\n";
+    xhr.trigger("progress", {});
+
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(sse.xhr).not.toBe(xhr);
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith("Last-Event-ID", "2");
+    expect(sse.progress).toBe(0);
+
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+    sse.xhr.responseText = "id: 3\ndata: third\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(listener.mock.calls.map((call) => call[0].data)).toStrictEqual([
+      "first",
+      "second",
+      "third",
+    ]);
+    expect(onOpen).not.toHaveBeenCalled();
+    expect(onReadyStateChange).not.toHaveBeenCalled();
+    expect(sse.readyState).toBe(SSE.OPEN);
+  });
+
+  it("should ignore the cycled connection's events", () => {
+    const onAbort = jest.fn();
+    sse.addEventListener("abort", onAbort);
+    const xhr = sse.xhr;
+
+    xhr.responseText = "id: 1\ndata: first\n\nid: 2\ndata: second\n\n";
+    xhr.trigger("progress", {});
+    xhr.trigger("abort", {});
+
+    expect(onAbort).not.toHaveBeenCalled();
+    expect(sse.readyState).toBe(SSE.OPEN);
+  });
+
+  it("should only cycle on an event boundary", () => {
+    const xhr = sse.xhr;
+    xhr.responseText = "id: 1\ndata: first\n\nid: 2\ndata: sec";
+    xhr.trigger("progress", {});
+    expect(xhr.abort).not.toHaveBeenCalled();
+
+    xhr.responseText += "ond\n\n";
+    xhr.trigger("progress", {});
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[1][0].data).toBe("second");
+  });
+
+  it("should not cycle when the stream cannot be resumed", () => {
+    const xhr = sse.xhr;
+    xhr.responseText = "data: first event\n\ndata: second event\n\n";
+    xhr.trigger("progress", {});
+
+    expect(xhr.abort).not.toHaveBeenCalled();
+    expect(sse.xhr).toBe(xhr);
+  });
+
+  it("should wait for an event with an ID to cycle", () => {
+    const xhr = sse.xhr;
+    xhr.responseText = "id: 1\ndata: a\n\ndata: no-id-b\n\n";
+    xhr.trigger("progress", {});
+    expect(xhr.abort).not.toHaveBeenCalled();
+
+    xhr.responseText += "id: 3\ndata: c\n\n";
+    xhr.trigger("progress", {});
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith("Last-Event-ID", "3");
+    expect(listener.mock.calls.map((call) => call[0].data)).toStrictEqual([
+      "a",
+      "no-id-b",
+      "c",
+    ]);
+  });
+
+  it("should report a failure of the replacement connection", () => {
+    const onError = jest.fn();
+    sse.addEventListener("error", onError);
+
+    sse.xhr.responseText = "id: 1\ndata: first\n\nid: 2\ndata: second\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.status = 503;
+    sse.xhr.trigger("progress", {});
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].responseCode).toBe(503);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Idle Timeout
+// =============================================================================
+
+describe("SSE Idle Timeout", () => {
+  let sse;
+  let onTimeout;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onTimeout = jest.fn();
+    sse = new SSE("http://example.com", { idleTimeout: 1000 });
+    sse.addEventListener("timeout", onTimeout);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should time out when nothing is received", () => {
+    const onAbort = jest.fn();
+    const onError = jest.fn();
+    sse.addEventListener("abort", onAbort);
+    sse.addEventListener("error", onError);
+    const xhr = sse.xhr;
+
+    jest.advanceTimersByTime(1000);
+
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onTimeout.mock.calls[0][0].idleTimeout).toBe(1000);
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+
+    // The transport's own abort notification is ignored.
+    xhr.trigger("abort", {});
+    expect(onAbort).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it("should reset the timer when data is received", () => {
+    jest.advanceTimersByTime(900);
+    sse.xhr.responseText = "data: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    jest.advanceTimersByTime(900);
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reset the timer when a comment is received", () => {
+    jest.advanceTimersByTime(900);
+    sse.xhr.responseText = ": heartbeat\n\n";
+    sse.xhr.trigger("progress", {});
+    jest.advanceTimersByTime(900);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  it("should reconnect after a timeout when auto-reconnect is enabled", () => {
+    sse.close();
+    sse = new SSE("http://example.com", {
+      idleTimeout: 1000,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    sse.addEventListener("timeout", onTimeout);
+
+    jest.advanceTimersByTime(1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(sse.reconnectTimer).not.toBeNull();
+
+    jest.advanceTimersByTime(100);
+    expect(sse.readyState).toBe(SSE.CONNECTING);
+    expect(sse.xhr).not.toBeNull();
+  });
+
+  it("should stop the timer when the stream is closed", () => {
+    sse.close();
+    jest.advanceTimersByTime(1000);
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(sse.idleTimer).toBeNull();
+  });
+
+  it("should not time out without an idle timeout", () => {
+    sse.close();
+    sse = new SSE("http://example.com");
+    sse.addEventListener("timeout", onTimeout);
+    jest.advanceTimersByTime(60000);
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Dynamic Request Parameters
+// =============================================================================
+
+describe("SSE Dynamic Request Parameters", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should evaluate synchronous functions before connecting", () => {
+    const headers = jest.fn(() => ({ Authorization: "Bearer token" }));
+    const sse = new SSE(() => "http://example.com/stream", {
+      headers,
+      payload: () => "body",
+    });
+
+    expect(headers).toHaveBeenCalledWith({ attempt: 0, lastEventId: "" });
+    expect(sse.method).toBe("POST");
+    expect(sse.xhr.open).toHaveBeenCalledWith(
+      "POST",
+      "http://example.com/stream"
+    );
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer token"
+    );
+    expect(sse.xhr.send).toHaveBeenCalledWith("body");
+  });
+
+  it("should wait for asynchronous values before connecting", async () => {
+    const sse = new SSE("http://example.com", {
+      headers: () => Promise.resolve({ Authorization: "Bearer token" }),
+    });
+    expect(sse.xhr).toBeNull();
+    expect(sse.readyState).toBe(SSE.CONNECTING);
+
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer token"
+    );
+  });
+
+  it("should re-evaluate values on every reconnection attempt", () => {
+    jest.useFakeTimers();
+    let token = 0;
+    const headers = jest.fn(() => ({ Authorization: `Bearer ${++token}` }));
+    const sse = new SSE("http://example.com", {
+      headers,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    sse.xhr.responseText = "id: event-1\ndata: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("error", {});
+    jest.advanceTimersByTime(100);
+
+    expect(headers).toHaveBeenLastCalledWith({
+      attempt: 1,
+      lastEventId: "event-1",
+    });
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer 2"
+    );
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Last-Event-ID",
+      "event-1"
+    );
+  });
+
+  it("should fail the attempt when a value cannot be evaluated", async () => {
+    const sse = new SSE("http://example.com", {
+      headers: () => Promise.reject(new Error("no token")),
+    });
+    const error = await waitForEvent(sse, "error");
+
+    expect(error.data.message).toBe("no token");
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+  });
+
+  it("should cancel a pending attempt when closed", async () => {
+    const onAbort = jest.fn();
+    const sse = new SSE("http://example.com", {
+      headers: () => Promise.resolve({}),
+    });
+    sse.addEventListener("abort", onAbort);
+    sse.close();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(onAbort).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Authentication Refresh
+// =============================================================================
+
+describe("SSE Authentication Refresh", () => {
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  function reject(sse, status) {
+    sse.xhr.status = status;
+    sse.xhr.trigger("progress", {});
+  }
+
+  it("should reconnect immediately with refreshed headers", async () => {
+    const onAuthError = jest.fn(() =>
+      Promise.resolve({ Authorization: "Bearer fresh" })
+    );
+    const onError = jest.fn();
+    const onUnauthorized = jest.fn();
+    const sse = new SSE("http://example.com", {
+      headers: { Authorization: "Bearer stale", "X-Custom": "value" },
+      autoReconnect: true,
+      maxRetries: 1,
+      onAuthError,
+    });
+    sse.addEventListener("error", onError);
+    sse.addEventListener("unauthorized", onUnauthorized);
+
+    reject(sse, 401);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(onUnauthorized.mock.calls[0][0].responseCode).toBe(401);
+    expect(onAuthError).toHaveBeenCalledWith(onUnauthorized.mock.calls[0][0]);
+    expect(sse.readyState).toBe(SSE.CONNECTING);
+
+    await flush();
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(2);
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer fresh"
+    );
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith("X-Custom", "value");
+    expect(onError).not.toHaveBeenCalled();
+    expect(sse.retryCount).toBe(0);
+    expect(sse.reconnectTimer).toBeNull();
+  });
+
+  it("should let dynamic headers take over after the retry", async () => {
+    jest.useFakeTimers();
+    let token = "t1";
+    const sse = new SSE("http://example.com", {
+      headers: () => ({ Authorization: "Bearer " + token }),
+      autoReconnect: true,
+      reconnectDelay: 100,
+      onAuthError: () => ({ Authorization: "Bearer refreshed" }),
+    });
+
+    reject(sse, 401);
+    await Promise.resolve();
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer refreshed"
+    );
+
+    sse.xhr.responseText = "data: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("error", {});
+    token = "t2";
+    jest.advanceTimersByTime(100);
+
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(3);
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer t2"
+    );
+    sse.close();
+    jest.useRealTimers();
+  });
+
+  it("should keep refreshed headers over static headers", async () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      headers: { Authorization: "Bearer stale" },
+      autoReconnect: true,
+      reconnectDelay: 100,
+      onAuthError: () => ({ Authorization: "Bearer refreshed" }),
+    });
+
+    reject(sse, 401);
+    await Promise.resolve();
+    sse.xhr.responseText = "data: hello\n\n";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("error", {});
+    jest.advanceTimersByTime(100);
+
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(3);
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Authorization",
+      "Bearer refreshed"
+    );
+    sse.close();
+    jest.useRealTimers();
+  });
+
+  it("should handle 403 responses", async () => {
+    const onAuthError = jest.fn(() => ({ Authorization: "Bearer fresh" }));
+    const sse = new SSE("http://example.com", { onAuthError });
+
+    reject(sse, 403);
+    await flush();
+    expect(onAuthError).toHaveBeenCalledTimes(1);
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(2);
+  });
+
+  it("should give up when the refresh fails", async () => {
+    const onError = jest.fn();
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      onAuthError: () => Promise.reject(new Error("refresh failed")),
+    });
+    sse.addEventListener("error", onError);
+
+    reject(sse, 401);
+    await flush();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].responseCode).toBe(401);
+    expect(onError.mock.calls[0][0].data.message).toBe("refresh failed");
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(sse.autoReconnect).toBe(false);
+    expect(sse.reconnectTimer).toBeNull();
+  });
+
+  it("should not refresh again if the new credentials are rejected", async () => {
+    const onAuthError = jest.fn(() => ({ Authorization: "Bearer fresh" }));
+    const onError = jest.fn();
+    const sse = new SSE("http://example.com", { onAuthError });
+    sse.addEventListener("error", onError);
+
+    reject(sse, 401);
+    await flush();
+    reject(sse, 401);
+
+    expect(onAuthError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should cancel the refresh when closed", async () => {
+    const onAbort = jest.fn();
+    const sse = new SSE("http://example.com", {
+      onAuthError: () => Promise.resolve({}),
+    });
+    sse.addEventListener("abort", onAbort);
+
+    reject(sse, 401);
+    sse.close();
+    await flush();
+
+    expect(onAbort).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it("should dispatch a regular error without onAuthError", () => {
+    const onError = jest.fn();
+    const onUnauthorized = jest.fn();
+    const sse = new SSE("http://example.com");
+    sse.addEventListener("error", onError);
+    sse.addEventListener("unauthorized", onUnauthorized);
+
+    reject(sse, 401);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Data Decoding
+// =============================================================================
+
+describe("SSE Data Decoding", () => {
+  it("should not decode event data by default", () => {
+    const listener = jest.fn();
+    const sse = new SSE("http://example.com");
+    sse.addEventListener("message", listener);
+    sse.xhr.responseText = 'data: {"a": 1}\n\n';
+    sse.xhr.trigger("progress", {});
+
+    expect(listener.mock.calls[0][0].parsed).toBeUndefined();
+  });
+
+  it("should decode JSON data of all events", () => {
+    const listener = jest.fn();
+    const custom = jest.fn();
+    const sse = new SSE("http://example.com", { decode: "json" });
+    sse.addEventListener("message", listener);
+    sse.addEventListener("custom", custom);
+    sse.xhr.responseText =
+      'data: {"a": 1}\n\nevent: custom\ndata: [1,\ndata: 2]\n\n';
+    sse.xhr.trigger("progress", {});
+
+    expect(listener.mock.calls[0][0].data).toBe('{"a": 1}');
+    expect(listener.mock.calls[0][0].parsed).toStrictEqual({ a: 1 });
+    expect(custom.mock.calls[0][0].parsed).toStrictEqual([1, 2]);
+  });
+
+  it("should apply decoders per event type", () => {
+    const listener = jest.fn();
+    const count = jest.fn();
+    const raw = jest.fn();
+    const decoder = jest.fn((data) => parseInt(data, 10));
+    const sse = new SSE("http://example.com", {
+      decode: { message: "json", count: decoder },
+    });
+    sse.addEventListener("message", listener);
+    sse.addEventListener("count", count);
+    sse.addEventListener("raw", raw);
+    sse.xhr.responseText =
+      'data: "hi"\n\nevent: count\ndata: 42\n\nevent: raw\ndata: {\n\n';
+    sse.xhr.trigger("progress", {});
+
+    expect(listener.mock.calls[0][0].parsed).toBe("hi");
+    expect(count.mock.calls[0][0].parsed).toBe(42);
+    expect(decoder).toHaveBeenCalledWith("42", count.mock.calls[0][0]);
+    expect(raw.mock.calls[0][0].data).toBe("{");
+    expect(raw.mock.calls[0][0].parsed).toBeUndefined();
+  });
+
+  it("should dispatch a parseerror instead of the event on failure", () => {
+    const listener = jest.fn();
+    const onParseError = jest.fn();
+    const sse = new SSE("http://example.com", { decode: "json" });
+    sse.addEventListener("message", listener);
+    sse.addEventListener("parseerror", onParseError);
+    sse.xhr.responseText = "id: 1\ndata: {oops\n\ndata: 2\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(onParseError).toHaveBeenCalledTimes(1);
+    const e = onParseError.mock.calls[0][0];
+    expect(e.eventType).toBe("message");
+    expect(e.chunk).toBe("id: 1\ndata: {oops");
+    expect(e.data).toBe("{oops");
+    expect(e.id).toBe("1");
+    expect(e.error).toBeInstanceOf(SyntaxError);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].parsed).toBe(2);
+    expect(sse.lastEventId).toBe("1");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: AbortSignal Support
+// =============================================================================
+
+describe("SSE AbortSignal Support", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should close the stream when the signal is aborted", () => {
+    const controller = new AbortController();
+    const sse = new SSE("http://example.com", {
+      signal: controller.signal,
+      autoReconnect: true,
+    });
+
+    controller.abort();
+    expect(sse.xhr.abort).toHaveBeenCalledTimes(1);
+    expect(sse.autoReconnect).toBe(false);
+  });
+
+  it("should cancel a pending reconnection when aborted", () => {
+    jest.useFakeTimers();
+    const controller = new AbortController();
+    const sse = new SSE("http://example.com", {
+      signal: controller.signal,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    sse.xhr.trigger("error", {});
+    expect(sse.reconnectTimer).not.toBeNull();
+
+    controller.abort();
+    expect(sse.reconnectTimer).toBeNull();
+    jest.advanceTimersByTime(100);
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it("should not start with an already aborted signal", () => {
+    const sse = new SSE("http://example.com", {
+      signal: AbortSignal.abort(),
+      autoReconnect: true,
+    });
+
+    expect(sse.readyState).toBe(SSE.INITIALIZING);
+    expect(sse.autoReconnect).toBe(false);
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+  });
+
+  it("should remove a listener when its signal is aborted", () => {
+    const controller = new AbortController();
+    const listener = jest.fn();
+    const other = jest.fn();
+    const sse = new SSE("http://example.com");
+    sse.addEventListener("message", listener, { signal: controller.signal });
+    sse.addEventListener("message", other);
+
+    sse.xhr.responseText = "data: first\n\n";
+    sse.xhr.trigger("progress", {});
+    controller.abort();
+    sse.xhr.responseText += "data: second\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(other).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not let a previous signal remove a listener added again", () => {
+    const first = new AbortController();
+    const second = new AbortController();
+    const listener = jest.fn();
+    const sse = new SSE("http://example.com");
+    sse.addEventListener("message", listener, { signal: first.signal });
+    sse.removeEventListener("message", listener);
+    sse.addEventListener("message", listener, { signal: second.signal });
+
+    first.abort();
+    expect(sse.listeners.message).toStrictEqual([listener]);
+    second.abort();
+    expect(sse.listeners.message).toBeUndefined();
+  });
+
+  it("should stop listening to the signal once closed", () => {
+    const controller = new AbortController();
+    const sse = new SSE("http://example.com", { signal: controller.signal });
+    sse.close();
+
+    const close = jest.spyOn(sse, "close");
+    controller.abort();
+    expect(close).not.toHaveBeenCalled();
+  });
+
+  it("should not add a listener with an already aborted signal", () => {
+    const listener = jest.fn();
+    const sse = new SSE("http://example.com");
+    sse.addEventListener("message", listener, { signal: AbortSignal.abort() });
+
+    expect(sse.listeners.message).toBeUndefined();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Promise Helpers
+// =============================================================================
+
+describe("SSE Promise Helpers", () => {
+  let sse;
+
+  beforeEach(() => {
+    sse = new SSE("http://example.com");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function open(status) {
+    sse.xhr.status = status || 200;
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  }
+
+  describe("ready()", () => {
+    it("should resolve with the response code and headers", async () => {
+      const ready = sse.ready();
+      open();
+
+      await expect(ready).resolves.toStrictEqual({
+        responseCode: 200,
+        headers: { "content-type": ["text/event-stream"] },
+      });
+    });
+
+    it("should resolve immediately when already open", async () => {
+      open();
+      await expect(sse.ready()).resolves.toMatchObject({ responseCode: 200 });
+    });
+
+    it("should reject on the first error", async () => {
+      const ready = sse.ready();
+      open(500);
+      sse.xhr.trigger("progress", {});
+
+      await expect(ready).rejects.toThrow("SSE stream failed (500)");
+      expect(sse.listeners.open).toBeUndefined();
+      expect(sse.listeners.error).toBeUndefined();
+    });
+
+    it("should reject immediately when already closed for good", async () => {
+      sse.close();
+      sse.xhr.trigger("abort", {});
+
+      await expect(sse.ready()).rejects.toThrow("SSE stream failed");
+      expect(sse.listeners.open).toBeUndefined();
+    });
+  });
+
+  describe("closed", () => {
+    it("should resolve when the stream is closed", async () => {
+      const closed = sse.closed;
+      sse.xhr.trigger("load", {});
+      await expect(closed).resolves.toBeUndefined();
+    });
+
+    it("should resolve immediately when already closed", async () => {
+      sse.xhr.trigger("abort", {});
+      await expect(sse.closed).resolves.toBeUndefined();
+    });
+
+    it("should wait while a reconnection is pending", async () => {
+      jest.useFakeTimers();
+      sse = new SSE("http://example.com", {
+        autoReconnect: true,
+        maxRetries: 1,
+        reconnectDelay: 100,
+      });
+      const resolved = jest.fn();
+      sse.closed.then(resolved);
+
+      sse.xhr.trigger("error", {});
+      await Promise.resolve();
+      expect(resolved).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(100);
+      sse.xhr.trigger("error", {});
+      await Promise.resolve();
+      expect(resolved).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("once()", () => {
+    it("should resolve with the next event of the given type", async () => {
+      const next = sse.once("update");
+      sse.xhr.responseText =
+        "data: ignored\n\nevent: update\ndata: 1\n\nevent: update\ndata: 2\n\n";
+      sse.xhr.trigger("progress", {});
+
+      expect((await next).data).toBe("1");
+      expect(sse.listeners.update).toBeUndefined();
+    });
+
+    it("should reject after the timeout", async () => {
+      jest.useFakeTimers();
+      const next = sse.once("update", { timeout: 1000 });
+      jest.advanceTimersByTime(1000);
+
+      await expect(next).rejects.toThrow(
+        "Timed out after 1000ms waiting for SSE update event"
+      );
+      expect(sse.listeners.update).toBeUndefined();
+    });
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Shared Connections
+// =============================================================================
+
+describe("SSE Shared Connections", () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new SSEPool();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should share one stream between subscribers to the same URL", () => {
+    const a = pool.subscribe("http://example.com/events");
+    const b = pool.subscribe("http://example.com/events");
+    const c = pool.subscribe("http://example.com/other");
+
+    expect(a.source).toBe(b.source);
+    expect(c.source).not.toBe(a.source);
+    expect(pool.entries["http://example.com/events"].subscribers).toBe(2);
+  });
+
+  it("should key streams on the request headers", () => {
+    const a = pool.subscribe("http://example.com", {
+      headers: { Authorization: "a", "X-Foo": "1" },
+    });
+    const b = pool.subscribe("http://example.com", {
+      headers: { "x-foo": "1", authorization: "a" },
+    });
+    const c = pool.subscribe("http://example.com", {
+      headers: { Authorization: "b", "X-Foo": "1" },
+    });
+
+    expect(b.source).toBe(a.source);
+    expect(c.source).not.toBe(a.source);
+  });
+
+  it("should compare dynamic URLs and headers by identity", () => {
+    const headers = () => ({ Authorization: "token" });
+    const a = pool.subscribe("http://example.com", { headers });
+    const b = pool.subscribe("http://example.com", { headers });
+    const c = pool.subscribe("http://example.com", {
+      headers: () => ({ Authorization: "token" }),
+    });
+
+    expect(b.source).toBe(a.source);
+    expect(c.source).not.toBe(a.source);
+  });
+
+  it("should open the stream on the first listener", () => {
+    const subscription = pool.subscribe("http://example.com");
+    expect(subscription.source.readyState).toBe(SSE.INITIALIZING);
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+
+    subscription.addEventListener("message", jest.fn());
+    subscription.addEventListener("update", jest.fn());
+
+    expect(subscription.source.readyState).toBe(SSE.CONNECTING);
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it("should dispatch events to each subscriber's listeners", () => {
+    const a = pool.subscribe("http://example.com");
+    const b = pool.subscribe("http://example.com");
+    const onMessage = jest.fn();
+    const onUpdate = jest.fn();
+    a.addEventListener("message", onMessage);
+    b.addEventListener("update", onUpdate);
+
+    const sse = a.source;
+    sse.xhr.responseText = "data: one\n\nevent: update\ndata: two\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].data).toBe("one");
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].data).toBe("two");
+  });
+
+  it("should close the stream after the last subscriber unsubscribes", () => {
+    const a = pool.subscribe("http://example.com");
+    const b = pool.subscribe("http://example.com");
+    const onMessage = jest.fn();
+    a.addEventListener("message", onMessage);
+    const sse = a.source;
+
+    a.unsubscribe();
+    a.unsubscribe();
+    expect(sse.listeners.message).toBeUndefined();
+    expect(sse.xhr.abort).not.toHaveBeenCalled();
+
+    const xhr = sse.xhr;
+    b.unsubscribe();
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(pool.entries).toStrictEqual({});
+    expect(pool.subscribe("http://example.com").source).not.toBe(sse);
+  });
+
+  it("should let subscribers sharing a listener unsubscribe independently", () => {
+    const a = pool.subscribe("http://example.com");
+    const b = pool.subscribe("http://example.com");
+    const onMessage = jest.fn();
+    a.addEventListener("message", onMessage);
+    a.addEventListener("message", onMessage);
+    b.addEventListener("message", onMessage);
+    const sse = a.source;
+
+    sse.xhr.responseText = "data: one\n\n";
+    sse.xhr.trigger("progress", {});
+    expect(onMessage).toHaveBeenCalledTimes(2);
+
+    a.unsubscribe();
+    sse.xhr.responseText += "data: two\n\n";
+    sse.xhr.trigger("progress", {});
+    expect(onMessage).toHaveBeenCalledTimes(3);
+    expect(onMessage.mock.calls[2][0].data).toBe("two");
+
+    b.removeEventListener("message", onMessage);
+    expect(sse.listeners.message).toBeUndefined();
+  });
+
+  it("should let a listener removed by its signal be added again", () => {
+    const subscription = pool.subscribe("http://example.com");
+    const controller = new AbortController();
+    const onMessage = jest.fn();
+    subscription.addEventListener("message", onMessage, {
+      signal: controller.signal,
+    });
+    const sse = subscription.source;
+
+    controller.abort();
+    expect(sse.listeners.message).toBeUndefined();
+    subscription.addEventListener("message", onMessage);
+    sse.xhr.responseText = "data: one\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].data).toBe("one");
+  });
+
+  it("should keep the stream open during the grace period", () => {
+    jest.useFakeTimers();
+    pool = new SSEPool({ gracePeriod: 1000 });
+    const a = pool.subscribe("http://example.com");
+    a.addEventListener("message", jest.fn());
+    const sse = a.source;
+    const xhr = sse.xhr;
+
+    a.unsubscribe();
+    jest.advanceTimersByTime(999);
+    const b = pool.subscribe("http://example.com");
+    expect(b.source).toBe(sse);
+    jest.advanceTimersByTime(1000);
+    expect(xhr.abort).not.toHaveBeenCalled();
+
+    b.unsubscribe();
+    jest.advanceTimersByTime(1000);
+    expect(xhr.abort).toHaveBeenCalledTimes(1);
+    expect(pool.entries).toStrictEqual({});
+  });
+
+  it("should replace streams that closed on their own", () => {
+    const a = pool.subscribe("http://example.com");
+    a.addEventListener("message", jest.fn());
+    a.source.xhr.trigger("load", {});
+
+    expect(a.source.readyState).toBe(SSE.CLOSED);
+    expect(pool.subscribe("http://example.com").source).not.toBe(a.source);
+  });
+
+  it("should subscribe from the default pool with SSE.shared()", () => {
+    const a = SSE.shared("http://example.com/shared");
+    const b = SSE.shared("http://example.com/shared");
+
+    expect(SSE.pool).toBeInstanceOf(SSEPool);
+    expect(b.source).toBe(a.source);
+    a.unsubscribe();
+    b.unsubscribe();
+    expect(SSE.pool.entries).toStrictEqual({});
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Cross-tab Sharing
+// =============================================================================
+
+describe("SSE Cross-tab Sharing", () => {
+  let channels;
+  let sources;
+
+  // In-memory BroadcastChannel: messages are delivered asynchronously to the
+  // other open channels with the same name, like the real thing.
+  function FakeBroadcastChannel(name) {
+    this.name = name;
+    this.onmessage = null;
+    this.closed = false;
+    this.postMessage = function (message) {
+      if (this.closed) {
+        return;
+      }
+      const data = JSON.parse(JSON.stringify(message));
+      channels.forEach((channel) => {
+        if (channel !== this && channel.name === this.name) {
+          Promise.resolve().then(() => {
+            if (!channel.closed && channel.onmessage) {
+              channel.onmessage({ data: data });
+            }
+          });
+        }
+      });
+    };
+    this.close = function () {
+      this.closed = true;
+    };
+    channels.push(this);
+  }
+
+  async function flush() {
+    for (let i = 0; i < 5; i++) {
+      await Promise.resolve();
+    }
+  }
+
+  function tab(options) {
+    const sse = new SSE(
+      "http://example.com/events",
+      Object.assign({ crossTab: true }, options)
+    );
+    sources.push(sse);
+    return sse;
+  }
+
+  function open(sse) {
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    channels = [];
+    sources = [];
+    global.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    sources.forEach((sse) => sse.close());
+    delete global.BroadcastChannel;
+    jest.useRealTimers();
+  });
+
+  it("should connect once elected leader", async () => {
+    const onLeaderChange = jest.fn();
+    const leader = tab();
+    leader.addEventListener("leaderchange", onLeaderChange);
+
+    expect(leader.readyState).toBe(SSE.CONNECTING);
+    expect(leader.connection).toBeNull();
+    expect(channels[0].name).toBe("sse.js:http://example.com/events");
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(leader.isLeader).toBe(true);
+    expect(onLeaderChange).toHaveBeenCalledTimes(1);
+    expect(onLeaderChange.mock.calls[0][0].leader).toBe(true);
+    expect(leader.xhr.open).toHaveBeenCalledWith(
+      "GET",
+      "http://example.com/events"
+    );
+  });
+
+  it("should mirror the stream of the leader in the other tabs", async () => {
+    const leader = tab();
+    jest.advanceTimersByTime(1000);
+    const follower = tab();
+    await flush();
+    jest.advanceTimersByTime(1000);
+
+    expect(follower.isLeader).toBe(false);
+    expect(follower.connection).toBeNull();
+    expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+
+    const onOpen = jest.fn();
+    const onMessage = jest.fn();
+    follower.addEventListener("open", onOpen);
+    follower.addEventListener("update", onMessage);
+
+    open(leader);
+    leader.xhr.responseText = "id: 1\nevent: update\ndata: hello\n\n";
+    leader.xhr.trigger("progress", {});
+    await flush();
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onOpen.mock.calls[0][0].responseCode).toBe(200);
+    expect(follower.readyState).toBe(SSE.OPEN);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].data).toBe("hello");
+    expect(follower.lastEventId).toBe("1");
+  });
+
+  it("should open a tab joining after the leader has opened", async () => {
+    const leader = tab();
+    jest.advanceTimersByTime(1000);
+    await flush();
+    open(leader);
+    const other = tab();
+    await flush();
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    const follower = tab();
+    const onOpen = jest.fn();
+    const onMessage = jest.fn();
+    follower.addEventListener("open", onOpen);
+    follower.addEventListener("message", onMessage);
+    const ready = follower.ready();
+    await flush();
+
+    expect(follower.isLeader).toBe(false);
+    expect(follower.readyState).toBe(SSE.OPEN);
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onOpen.mock.calls[0][0].responseCode).toBe(200);
+    await expect(ready).resolves.toMatchObject({ responseCode: 200 });
+    expect(other.readyState).toBe(SSE.OPEN);
+
+    leader.xhr.responseText = "data: hello\n\n";
+    leader.xhr.trigger("progress", {});
+    await flush();
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(other.readyState).toBe(SSE.OPEN);
+  });
+
+  it("should take over when the leader closes", async () => {
+    const leader = tab();
+    jest.advanceTimersByTime(1000);
+    const follower = tab();
+    await flush();
+
+    open(leader);
+    leader.xhr.responseText = "id: 42\ndata: hello\n\n";
+    leader.xhr.trigger("progress", {});
+    await flush();
+
+    const onLeaderChange = jest.fn();
+    follower.addEventListener("leaderchange", onLeaderChange);
+    const xhr = leader.xhr;
+    leader.close();
+    xhr.trigger("abort", {});
+    await flush();
+
+    expect(leader.readyState).toBe(SSE.CLOSED);
+    expect(follower.isLeader).toBe(true);
+    expect(onLeaderChange.mock.calls[0][0].leader).toBe(true);
+    expect(follower.readyState).toBe(SSE.CONNECTING);
+    expect(follower.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Last-Event-ID",
+      "42"
+    );
+  });
+
+  it("should take over when the leader stops sending heartbeats", async () => {
+    const leader = tab({ crossTab: { leaderTimeout: 5000 } });
+    jest.advanceTimersByTime(1000);
+    const follower = tab({ crossTab: { leaderTimeout: 5000 } });
+    await flush();
+
+    // The leader tab went away without resigning.
+    channels[0].closed = true;
+    jest.advanceTimersByTime(4999);
+    await flush();
+    expect(follower.isLeader).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(follower.isLeader).toBe(true);
+    expect(follower.xhr).not.toBeNull();
+  });
+
+  it("should keep a single leader when several tabs are elected", async () => {
+    const a = tab();
+    const b = tab();
+    jest.advanceTimersByTime(1000);
+    expect(a.isLeader && b.isLeader).toBe(true);
+    const xhrs = [a.xhr, b.xhr];
+
+    await flush();
+    expect(a.isLeader !== b.isLeader).toBe(true);
+
+    const follower = a.isLeader ? b : a;
+    expect(follower.connection).toBeNull();
+    expect(xhrs[sources.indexOf(follower)].abort).toHaveBeenCalledTimes(1);
+  });
+
+  it("should close every tab when the stream ends", async () => {
+    const leader = tab();
+    jest.advanceTimersByTime(1000);
+    const follower = tab();
+    await flush();
+
+    open(leader);
+    await flush();
+    leader.xhr.trigger("load", {});
+    await flush();
+
+    expect(leader.readyState).toBe(SSE.CLOSED);
+    expect(follower.readyState).toBe(SSE.CLOSED);
+    expect(channels.every((channel) => channel.closed)).toBe(true);
+  });
+
+  it("should show followers as connecting while the leader reconnects", async () => {
+    const leader = tab({ autoReconnect: true, reconnectDelay: 100 });
+    jest.advanceTimersByTime(1000);
+    const follower = tab();
+    await flush();
+
+    open(leader);
+    await flush();
+    leader.xhr.trigger("error", {});
+    await flush();
+
+    expect(leader.readyState).toBe(SSE.CLOSED);
+    expect(leader.reconnectTimer).not.toBeNull();
+    expect(follower.readyState).toBe(SSE.CONNECTING);
+  });
+
+  it("should connect directly without BroadcastChannel", () => {
+    delete global.BroadcastChannel;
+    const sse = tab();
+
+    expect(sse.xhr).not.toBeNull();
+    expect(sse.isLeader).toBe(false);
+  });
+
+  it("should require a channel name with a dynamic url", () => {
+    expect(
+      () => new SSE(() => "http://example.com", { crossTab: true })
+    ).toThrow("A crossTab channel name is required with a dynamic url");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Last-Event-ID Persistence
+// =============================================================================
+
+describe("SSE Last-Event-ID Persistence", () => {
+  function createStorage(values) {
+    const data = Object.assign({}, values);
+    return {
+      data: data,
+      get: jest.fn((key) => data[key]),
+      set: jest.fn((key, value) => {
+        data[key] = value;
+      }),
+    };
+  }
+
+  async function flush() {
+    for (let i = 0; i < 10; i++) {
+      await Promise.resolve();
+    }
+  }
+
+  afterEach(() => {
+    delete global.localStorage;
+    delete global.indexedDB;
+  });
+
+  it("should resume from the saved ID on the first connection", () => {
+    const storage = createStorage({ "sse.js:lastEventId:http://a/": "41" });
+    const sse = new SSE("http://a/", { persistence: storage });
+
+    expect(storage.get).toHaveBeenCalledWith("sse.js:lastEventId:http://a/");
+    expect(sse.lastEventId).toBe("41");
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+      "Last-Event-ID",
+      "41"
+    );
+  });
+
+  it("should save the ID as events are received", () => {
+    const storage = createStorage();
+    const sse = new SSE("http://a/", {
+      persistence: { storage: storage, key: "my-stream" },
+    });
+
+    sse.xhr.responseText = "id: 1\ndata: a\n\nid: 1\ndata: b\n\nid: 2\n\n";
+    sse.xhr.trigger("progress", {});
+
+    expect(storage.set.mock.calls).toStrictEqual([
+      ["my-stream", "1"],
+      ["my-stream", "2"],
+    ]);
+  });
+
+  it("should only restore the ID once", () => {
+    const storage = createStorage({ key: "1" });
+    const sse = new SSE("http://a/", {
+      persistence: { storage: storage, key: "key" },
+    });
+    expect(sse.lastEventId).toBe("1");
+
+    sse.lastEventId = "";
+    sse.xhr.trigger("abort", {});
+    sse.stream();
+
+    expect(storage.get).toHaveBeenCalledTimes(1);
+    expect(sse.lastEventId).toBe("");
+  });
+
+  it("should not override an explicitly set ID", () => {
+    const storage = createStorage({ key: "1" });
+    const sse = new SSE("http://a/", {
+      persistence: { storage: storage, key: "key" },
+      start: false,
+    });
+    sse.lastEventId = "5";
+    sse.stream();
+
+    expect(sse.lastEventId).toBe("5");
+  });
+
+  it("should wait for asynchronous storages", async () => {
+    const storage = {
+      get: jest.fn(() => Promise.resolve("7")),
+      set: jest.fn(() => Promise.reject(new Error("quota exceeded"))),
+    };
+    const sse = new SSE("http://a/", { persistence: storage });
+    expect(sse.readyState).toBe(SSE.CONNECTING);
+    expect(sse.xhr).toBeNull();
+
+    await flush();
+    expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith("Last-Event-ID", "7");
+
+    sse.xhr.responseText = "id: 8\ndata: a\n\n";
+    sse.xhr.trigger("progress", {});
+    await flush();
+    expect(sse.lastEventId).toBe("8");
+  });
+
+  it("should cancel the restore when closed", async () => {
+    const storage = { get: () => Promise.resolve("7"), set: jest.fn() };
+    const sse = new SSE("http://a/", { persistence: storage });
+    const onAbort = jest.fn();
+    sse.addEventListener("abort", onAbort);
+    sse.close();
+    await flush();
+
+    expect(onAbort).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+  });
+
+  it("should connect without the ID when the storage fails", async () => {
+    const sse = new SSE("http://a/", {
+      persistence: {
+        get: () => {
+          throw new Error("denied");
+        },
+        set: jest.fn(),
+      },
+    });
+    expect(sse.xhr).not.toBeNull();
+
+    const failing = new SSE("http://a/", {
+      persistence: {
+        get: () => Promise.reject(new Error("denied")),
+        set: jest.fn(),
+      },
+    });
+    await flush();
+    expect(failing.xhr).not.toBeNull();
+    expect(failing.lastEventId).toBe("");
+  });
+
+  it("should use Web Storage by name", () => {
+    global.localStorage = {
+      getItem: jest.fn(() => "3"),
+      setItem: jest.fn(),
+    };
+    const sse = new SSE("http://a/", { persistence: "localStorage" });
+    expect(sse.lastEventId).toBe("3");
+
+    sse.xhr.responseText = "id: 4\ndata: a\n\n";
+    sse.xhr.trigger("progress", {});
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      "sse.js:lastEventId:http://a/",
+      "4"
+    );
+  });
+
+  it("should use IndexedDB by name", async () => {
+    const data = new Map();
+    const request = (operation) => {
+      const req = {};
+      Promise.resolve().then(() => {
+        req.result = operation();
+        req.onsuccess();
+      });
+      return req;
+    };
+    const store = {
+      get: (key) => request(() => data.get(key)),
+      put: (value, key) => request(() => data.set(key, value) && key),
+    };
+    const db = {
+      createObjectStore: jest.fn(),
+      transaction: () => ({ objectStore: () => store }),
+    };
+    global.indexedDB = {
+      open: jest.fn(() => request(() => db)),
+    };
+    data.set("stream", "10");
+
+    const sse = new SSE("http://a/", {
+      persistence: { storage: "indexedDB", key: "stream" },
+    });
+    await flush();
+    expect(indexedDB.open).toHaveBeenCalledWith("sse.js", 1);
+    expect(sse.lastEventId).toBe("10");
+
+    sse.xhr.responseText = "id: 11\ndata: a\n\n";
+    sse.xhr.trigger("progress", {});
+    await flush();
+    expect(data.get("stream")).toBe("11");
+  });
+
+  it("should reject unknown storages and dynamic urls without a key", () => {
+    expect(() => new SSE("http://a/", { persistence: "cookies" })).toThrow(
+      "Unknown SSE persistence storage: cookies"
+    );
+    expect(
+      () => new SSE(() => "http://a/", { persistence: "localStorage" })
+    ).toThrow("A persistence key is required with a dynamic url");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Duplicate Suppression
+// =============================================================================
+
+describe("SSE Duplicate Suppression", () => {
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should not suppress anything by default", () => {
+    const sse = new SSE("http://example.com");
+    const listener = jest.fn();
+    sse.addEventListener("message", listener);
+    receive(sse, "id: 1\ndata: a\n\nid: 1\ndata: a\n\n");
+
+    expect(sse.dedupe).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it("should suppress events replayed after a reconnection", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      dedupe: true,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    const listener = jest.fn();
+    const onDuplicate = jest.fn();
+    sse.addEventListener("update", listener);
+    sse.addEventListener("duplicate", onDuplicate);
+
+    receive(sse, "id: 1\nevent: update\ndata: a\n\n");
+    sse.xhr.trigger("error", {});
+    jest.advanceTimersByTime(100);
+    receive(
+      sse,
+      "id: 1\nevent: update\ndata: a\n\nid: 2\nevent: update\ndata: b\n\n"
+    );
+
+    expect(listener.mock.calls.map((c) => c[0].data)).toStrictEqual(["a", "b"]);
+    expect(onDuplicate).toHaveBeenCalledTimes(1);
+    const duplicate = onDuplicate.mock.calls[0][0];
+    expect(duplicate.id).toBe("1");
+    expect(duplicate.data).toBe("a");
+    expect(duplicate.eventType).toBe("update");
+    expect(sse.lastEventId).toBe("2");
+  });
+
+  it("should never suppress events without an ID", () => {
+    const sse = new SSE("http://example.com", { dedupe: true });
+    const listener = jest.fn();
+    sse.addEventListener("message", listener);
+    receive(sse, "data: a\n\ndata: a\n\nid:\ndata: a\n\n");
+
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it("should only remember the last maxSize IDs", () => {
+    const sse = new SSE("http://example.com", { dedupe: { maxSize: 2 } });
+    const listener = jest.fn();
+    sse.addEventListener("message", listener);
+    receive(sse, "id: 1\ndata: a\n\nid: 2\ndata: b\n\nid: 3\ndata: c\n\n");
+    receive(sse, "id: 2\ndata: b\n\nid: 1\ndata: a\n\n");
+
+    expect(listener.mock.calls.map((c) => c[0].id)).toStrictEqual([
+      "1",
+      "2",
+      "3",
+      "1",
+    ]);
+    expect(sse.dedupe.maxSize).toBe(2);
+  });
+
+  it("should only remember IDs within the time window", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", { dedupe: { window: 1000 } });
+    const listener = jest.fn();
+    sse.addEventListener("message", listener);
+    expect(sse.dedupe.maxSize).toBe(Infinity);
+
+    receive(sse, "id: 1\ndata: a\n\n");
+    jest.advanceTimersByTime(500);
+    receive(sse, "id: 2\ndata: b\n\nid: 1\ndata: a\n\n");
+    jest.advanceTimersByTime(500);
+    receive(sse, "id: 1\ndata: a\n\nid: 2\ndata: b\n\n");
+
+    expect(listener.mock.calls.map((c) => c[0].id)).toStrictEqual([
+      "1",
+      "2",
+      "1",
+    ]);
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Network and Visibility Awareness
+// =============================================================================
+
+describe("SSE Network and Visibility Awareness", () => {
+  let win;
+
+  function setHidden(hidden) {
+    document.hidden = hidden;
+    document.dispatchEvent(new Event("visibilitychange"));
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    win = new EventTarget();
+    jest.spyOn(win, "addEventListener");
+    global.addEventListener = win.addEventListener.bind(win);
+    global.removeEventListener = win.removeEventListener.bind(win);
+    global.document = Object.assign(new EventTarget(), { hidden: false });
+  });
+
+  afterEach(() => {
+    delete global.addEventListener;
+    delete global.removeEventListener;
+    delete global.document;
+    jest.useRealTimers();
+  });
+
+  it("should not listen to anything by default", () => {
+    const sse = new SSE("http://example.com", { autoReconnect: true });
+    expect(win.addEventListener).not.toHaveBeenCalled();
+    expect(sse.pauseWhenOffline).toBe(false);
+    expect(sse.pauseWhenHidden).toBeNull();
+  });
+
+  describe("pauseWhenOffline", () => {
+    let sse;
+
+    beforeEach(() => {
+      sse = new SSE("http://example.com", {
+        autoReconnect: true,
+        reconnectDelay: 1000,
+        maxRetries: 1,
+        pauseWhenOffline: true,
+      });
+    });
+
+    it("should suspend reconnection while offline", () => {
+      const onPause = jest.fn();
+      sse.addEventListener("pause", onPause);
+      win.dispatchEvent(new Event("offline"));
+      expect(sse.readyState).toBe(SSE.CONNECTING);
+
+      sse.xhr.trigger("error", {});
+      jest.advanceTimersByTime(10000);
+
+      expect(sse.readyState).toBe(SSE.CLOSED);
+      expect(sse.reconnectTimer).toBeNull();
+      expect(sse.paused).toBe("offline");
+      expect(sse.retryCount).toBe(0);
+      expect(onPause).toHaveBeenCalledTimes(1);
+      expect(onPause.mock.calls[0][0].reason).toBe("offline");
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it("should cancel a pending reconnection when going offline", () => {
+      sse.xhr.trigger("error", {});
+      expect(sse.reconnectTimer).not.toBeNull();
+
+      win.dispatchEvent(new Event("offline"));
+      jest.advanceTimersByTime(10000);
+
+      expect(sse.paused).toBe("offline");
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reconnect immediately when back online", () => {
+      const onResume = jest.fn();
+      sse.addEventListener("resume", onResume);
+      win.dispatchEvent(new Event("offline"));
+      sse.xhr.trigger("error", {});
+
+      win.dispatchEvent(new Event("online"));
+
+      expect(onResume).toHaveBeenCalledTimes(1);
+      expect(onResume.mock.calls[0][0].reason).toBe("offline");
+      expect(sse.paused).toBeNull();
+      expect(sse.readyState).toBe(SSE.CONNECTING);
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(2);
+      expect(sse.retryCount).toBe(0);
+    });
+
+    it("should keep the stream pending while paused", async () => {
+      const resolved = jest.fn();
+      sse.closed.then(resolved);
+      win.dispatchEvent(new Event("offline"));
+      sse.xhr.trigger("error", {});
+      await Promise.resolve();
+      expect(resolved).not.toHaveBeenCalled();
+
+      sse.close();
+      await Promise.resolve();
+      expect(resolved).toHaveBeenCalledTimes(1);
+      expect(sse.paused).toBeNull();
+
+      win.dispatchEvent(new Event("online"));
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("pauseWhenHidden", () => {
+    it("should close the stream after the page has been hidden", () => {
+      const sse = new SSE("http://example.com", { pauseWhenHidden: 1000 });
+      const onPause = jest.fn();
+      sse.addEventListener("pause", onPause);
+      sse.xhr.responseText = "id: 1\ndata: a\n\n";
+      sse.xhr.trigger("progress", {});
+
+      setHidden(true);
+      jest.advanceTimersByTime(999);
+      expect(sse.xhr.abort).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(sse.xhr.abort).toHaveBeenCalledTimes(1);
+      sse.xhr.trigger("abort", {});
+
+      expect(sse.readyState).toBe(SSE.CLOSED);
+      expect(sse.paused).toBe("hidden");
+      expect(onPause.mock.calls[0][0].reason).toBe("hidden");
+
+      setHidden(false);
+      expect(sse.paused).toBeNull();
+      expect(sse.readyState).toBe(SSE.CONNECTING);
+      expect(sse.xhr.setRequestHeader).toHaveBeenCalledWith(
+        "Last-Event-ID",
+        "1"
+      );
+    });
+
+    it("should keep the stream open when visible again in time", () => {
+      const sse = new SSE("http://example.com", { pauseWhenHidden: 1000 });
+      setHidden(true);
+      jest.advanceTimersByTime(500);
+      setHidden(false);
+      jest.advanceTimersByTime(1000);
+
+      expect(sse.xhr.abort).not.toHaveBeenCalled();
+      expect(sse.paused).toBeNull();
+    });
+
+    it("should close the stream immediately with true", () => {
+      document.hidden = true;
+      const sse = new SSE("http://example.com", { pauseWhenHidden: true });
+      const xhr = sse.xhr;
+      jest.advanceTimersByTime(0);
+
+      expect(sse.pauseWhenHidden).toBe(0);
+      expect(xhr.abort).toHaveBeenCalledTimes(1);
+      expect(sse.paused).toBe("hidden");
+    });
+
+    it("should not reconnect when back online while hidden", () => {
+      const sse = new SSE("http://example.com", {
+        autoReconnect: true,
+        pauseWhenOffline: true,
+        pauseWhenHidden: 0,
+      });
+      win.dispatchEvent(new Event("offline"));
+      sse.xhr.trigger("error", {});
+      setHidden(true);
+      jest.advanceTimersByTime(0);
+      win.dispatchEvent(new Event("online"));
+
+      expect(sse.paused).toBe("hidden");
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(1);
+
+      setHidden(false);
+      expect(XMLHttpRequest).toHaveBeenCalledTimes(2);
+    });
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Batched Dispatch
+// =============================================================================
+
+describe("SSE Batched Dispatch", () => {
+  const STREAM = "data: 1\n\ndata: 2\n\nevent: update\ndata: 3\n\n";
+  let received;
+
+  function track(sse) {
+    received = [];
+    ["message", "update", "error"].forEach((type) =>
+      sse.addEventListener(type, (e) => received.push(type + ":" + e.data))
+    );
+  }
+
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  afterEach(() => {
+    delete global.requestAnimationFrame;
+    jest.useRealTimers();
+  });
+
+  it("should dispatch events synchronously by default", () => {
+    const sse = new SSE("http://example.com");
+    track(sse);
+    receive(sse, STREAM);
+
+    expect(sse.batch).toBeNull();
+    expect(received).toStrictEqual(["message:1", "message:2", "update:3"]);
+  });
+
+  it("should dispatch events on the next animation frame", () => {
+    const frames = [];
+    global.requestAnimationFrame = jest.fn((callback) => frames.push(callback));
+    const sse = new SSE("http://example.com", { batch: true });
+    track(sse);
+
+    receive(sse, STREAM);
+    receive(sse, "data: 4\n\n");
+    expect(received).toStrictEqual([]);
+    expect(frames.length).toBe(1);
+
+    frames.shift()();
+    expect(received).toStrictEqual([
+      "message:1",
+      "message:2",
+      "update:3",
+      "message:4",
+    ]);
+  });
+
+  it("should fall back to a timer without animation frames", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: "animationFrame" },
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(15);
+    expect(received).toStrictEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(received.length).toBe(3);
+  });
+
+  it("should dispatch events in a microtask", async () => {
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: "microtask" },
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    expect(received).toStrictEqual([]);
+    await Promise.resolve();
+    expect(received.length).toBe(3);
+  });
+
+  it("should dispatch events at the given interval", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", { batch: { schedule: 100 } });
+    track(sse);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(50);
+    receive(sse, "data: 4\n\n");
+    jest.advanceTimersByTime(50);
+    expect(received.length).toBe(4);
+  });
+
+  it("should cap the size of batches", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 10, maxSize: 2 },
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(10);
+    expect(received).toStrictEqual(["message:1", "message:2"]);
+    jest.advanceTimersByTime(10);
+    expect(received).toStrictEqual(["message:1", "message:2", "update:3"]);
+  });
+
+  it("should dispatch a single batch event in batch mode", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 10, mode: "batch", maxSize: 2 },
+    });
+    track(sse);
+    const onBatch = jest.fn();
+    sse.addEventListener("batch", onBatch);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(20);
+
+    expect(received).toStrictEqual([]);
+    expect(onBatch).toHaveBeenCalledTimes(2);
+    const batch = onBatch.mock.calls[0][0];
+    expect(batch.events.map((e) => e.data)).toStrictEqual(["1", "2"]);
+    expect(batch.events[0].source).toBe(sse);
+    expect(onBatch.mock.calls[1][0].events[0].type).toBe("update");
+  });
+
+  it("should dispatch queued events before the stream fails", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 10, maxSize: 1 },
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    sse.xhr.trigger("error", {});
+
+    expect(received).toStrictEqual([
+      "message:1",
+      "message:2",
+      "update:3",
+      "error:undefined",
+    ]);
+  });
+
+  it("should dispatch the last event before the stream ends", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", { batch: { schedule: 10 } });
+    track(sse);
+    const states = [];
+    sse.addEventListener("readystatechange", () =>
+      states.push(received.length)
+    );
+
+    sse.xhr.responseText = "data: 1\n\ndata: 2";
+    sse.xhr.trigger("progress", {});
+    sse.xhr.trigger("load", {});
+
+    expect(received).toStrictEqual(["message:1", "message:2"]);
+    expect(states).toStrictEqual([2]);
+  });
+
+  it("should reject unknown schedules", () => {
+    expect(
+      () => new SSE("http://example.com", { batch: { schedule: "idle" } })
+    ).toThrow("Unknown SSE batch schedule: idle");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Latest-value Coalescing
+// =============================================================================
+
+describe("SSE Latest-value Coalescing", () => {
+  const STREAM =
+    "event: tick\ndata: A 1\n\n" +
+    "event: trade\ndata: A 1\n\n" +
+    "event: tick\ndata: B 1\n\n" +
+    "event: tick\ndata: A 2\n\n" +
+    "data: hello\n\n";
+  let received;
+
+  function track(sse) {
+    received = [];
+    ["message", "tick", "trade"].forEach((type) =>
+      sse.addEventListener(type, (e) => received.push(type + ":" + e.data))
+    );
+  }
+
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should only dispatch the latest queued event of the given types", () => {
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 100 },
+      coalesce: ["tick"],
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(100);
+
+    expect(received).toStrictEqual(["trade:A 1", "tick:A 2", "message:hello"]);
+  });
+
+  it("should coalesce events by key", () => {
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 100 },
+      coalesce: (e) => (e.type === "tick" ? e.data.split(" ")[0] : null),
+    });
+    track(sse);
+
+    receive(sse, STREAM);
+    jest.advanceTimersByTime(100);
+
+    expect(received).toStrictEqual([
+      "trade:A 1",
+      "tick:B 1",
+      "tick:A 2",
+      "message:hello",
+    ]);
+  });
+
+  it("should only coalesce events waiting for the same batch", () => {
+    const sse = new SSE("http://example.com", {
+      batch: { schedule: 100, maxSize: 1 },
+      coalesce: ["tick"],
+    });
+    track(sse);
+
+    receive(sse, "event: tick\ndata: 1\n\nevent: tick\ndata: 2\n\n");
+    jest.advanceTimersByTime(100);
+    receive(sse, "event: tick\ndata: 3\n\n");
+    receive(sse, "event: tick\ndata: 4\n\n");
+    jest.advanceTimersByTime(100);
+
+    expect(received).toStrictEqual(["tick:2", "tick:4"]);
+  });
+
+  it("should not hold events back without batching", () => {
+    const sse = new SSE("http://example.com", { coalesce: ["tick"] });
+    track(sse);
+    receive(sse, STREAM);
+
+    expect(received.length).toBe(5);
+  });
+
+  it("should coalesce the events queued for a slow iteration", async () => {
+    jest.useRealTimers();
+    const sse = new SSE("http://example.com", { coalesce: ["tick"] });
+    const iterator = sse.events({ types: ["tick", "trade"] });
+
+    receive(sse, STREAM);
+    const values = [];
+    for (let i = 0; i < 2; i++) {
+      values.push((await iterator.next()).value.data);
+    }
+    receive(sse, "event: tick\ndata: A 3\n\n");
+    values.push((await iterator.next()).value.data);
+    await iterator.return();
+
+    expect(values).toStrictEqual(["A 1", "A 2", "A 3"]);
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Metrics
+// =============================================================================
+
+describe("SSE Metrics", () => {
+  let onMetric;
+
+  function open(sse) {
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  }
+
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onMetric = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should start with empty statistics", () => {
+    const sse = new SSE("http://example.com", { start: false });
+    expect(sse.stats()).toStrictEqual({
+      readyState: SSE.INITIALIZING,
+      bytesReceived: 0,
+      eventsDispatched: {},
+      timeToOpen: null,
+      timeSinceLastByte: null,
+      retryCount: 0,
+      reconnectAttempts: 0,
+      reconnectReasons: {},
+      lastReconnectReason: null,
+      backoffDelay: null,
+    });
+  });
+
+  it("should track the time to open", () => {
+    const sse = new SSE("http://example.com", { onMetric });
+    jest.advanceTimersByTime(120);
+    open(sse);
+
+    expect(sse.stats().timeToOpen).toBe(120);
+    expect(onMetric).toHaveBeenCalledWith("open", 120, { responseCode: 200 });
+  });
+
+  it("should track the bytes received", () => {
+    const sse = new SSE("http://example.com", { onMetric });
+    open(sse);
+    receive(sse, "data: é\n\n");
+    receive(sse, "data: 😀\n\n");
+    jest.advanceTimersByTime(500);
+
+    const stats = sse.stats();
+    expect(stats.bytesReceived).toBe(22);
+    expect(stats.timeSinceLastByte).toBe(500);
+    expect(onMetric).toHaveBeenCalledWith("bytes", 10, {});
+    expect(onMetric).toHaveBeenCalledWith("bytes", 12, {});
+  });
+
+  it("should count the events dispatched by type", () => {
+    const sse = new SSE("http://example.com", { onMetric });
+    open(sse);
+    receive(sse, "data: a\n\ndata: b\n\nevent: update\ndata: c\n\n");
+
+    expect(sse.stats().eventsDispatched).toStrictEqual({
+      readystatechange: 2,
+      open: 1,
+      message: 2,
+      update: 1,
+    });
+    expect(onMetric).toHaveBeenCalledWith("event", 1, { type: "update" });
+  });
+
+  it("should track reconnections", () => {
+    const sse = new SSE("http://example.com", {
+      autoReconnect: true,
+      reconnectDelay: 500,
+      idleTimeout: 10000,
+      onMetric,
+    });
+    sse.xhr.trigger("error", {});
+
+    let stats = sse.stats();
+    expect(stats.reconnectReasons).toStrictEqual({ error: 1 });
+    expect(stats.lastReconnectReason).toBe("error");
+    expect(stats.backoffDelay).toBe(500);
+    expect(stats.reconnectAttempts).toBe(0);
+    expect(onMetric).toHaveBeenCalledWith("reconnect", 500, {
+      reason: "error",
+      attempt: 1,
+    });
+
+    jest.advanceTimersByTime(500);
+    jest.advanceTimersByTime(10000);
+    jest.advanceTimersByTime(500);
+
+    stats = sse.stats();
+    expect(stats.reconnectAttempts).toBe(2);
+    expect(stats.retryCount).toBe(2);
+    expect(stats.reconnectReasons).toStrictEqual({ error: 1, timeout: 1 });
+    expect(stats.lastReconnectReason).toBe("timeout");
+  });
+
+  it("should log the errors of the onMetric hook", () => {
+    const error = new Error("metrics backend unavailable");
+    const logger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    const onMessage = jest.fn();
+    const sse = new SSE("http://example.com", {
+      onMetric: () => {
+        throw error;
+      },
+      logger,
+    });
+    sse.addEventListener("message", onMessage);
+    open(sse);
+    receive(sse, "data: a\n\n");
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(sse.readyState).toBe(SSE.OPEN);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "SSE onMetric hook failed",
+      expect.objectContaining({ metric: "open", error: error })
+    );
+  });
+
+  it("should return a snapshot", () => {
+    const sse = new SSE("http://example.com");
+    const stats = sse.stats();
+    stats.eventsDispatched.message = 10;
+
+    expect(sse.stats().eventsDispatched.message).toBeUndefined();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Logging
+// =============================================================================
+
+describe("SSE Logging", () => {
+  let logger;
+
+  function open(sse) {
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  }
+
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  function records(level, message) {
+    return logger[level].mock.calls
+      .filter((call) => call[0] === message)
+      .map((call) => call[1]);
+  }
+
+  beforeEach(() => {
+    logger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+  });
+
+  it("should not log without a logger", () => {
+    const debug = jest.spyOn(console, "debug").mockImplementation(() => {});
+    const sse = new SSE("http://example.com");
+    open(sse);
+
+    expect(sse.logger).toBeNull();
+    expect(debug).not.toHaveBeenCalled();
+    debug.mockRestore();
+  });
+
+  it("should log structured records of the lifecycle", () => {
+    const sse = new SSE("http://example.com", { logger });
+    open(sse);
+    receive(sse, "id: 1\ndata: hello\n\n");
+    sse.xhr.trigger("load", {});
+
+    const connecting = records("info", "SSE connecting")[0];
+    expect(connecting).toStrictEqual({
+      connectionId: expect.any(Number),
+      url: "http://example.com",
+      attempt: 0,
+      readyState: SSE.CONNECTING,
+      method: "GET",
+      headers: {},
+    });
+    expect(records("info", "SSE response received")[0]).toStrictEqual({
+      connectionId: connecting.connectionId,
+      url: "http://example.com",
+      attempt: 0,
+      readyState: SSE.CONNECTING,
+      responseCode: 200,
+    });
+    expect(records("info", "SSE connection closed")[0]).toMatchObject({
+      connectionId: connecting.connectionId,
+      readyState: SSE.OPEN,
+      reason: "end",
+    });
+    expect(logger.debug).not.toHaveBeenCalled();
+  });
+
+  it("should log the data and events at the debug level", () => {
+    const sse = new SSE("http://example.com", { logger, logLevel: "debug" });
+    open(sse);
+    receive(sse, "id: 1\nevent: update\ndata: é\n\n");
+
+    expect(records("debug", "SSE data received")[0]).toMatchObject({
+      bytes: 30,
+      bytesReceived: 30,
+    });
+    expect(records("debug", "SSE event dispatched")).toContainEqual(
+      expect.objectContaining({ eventType: "update", id: "1" })
+    );
+  });
+
+  it("should drop the records below the log level", () => {
+    const sse = new SSE("http://example.com", { logger, logLevel: "warn" });
+    open(sse);
+    sse.xhr.trigger("error", {});
+
+    expect(logger.info).not.toHaveBeenCalled();
+    expect(records("error", "SSE connection failed")).toHaveLength(1);
+
+    new SSE("http://example.com", { logger, logLevel: "silent" }).xhr.trigger(
+      "error",
+      {}
+    );
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject unknown log levels", () => {
+    expect(() => new SSE("http://example.com", { logLevel: "trace" })).toThrow(
+      "Unknown SSE log level: trace"
+    );
+  });
+
+  it("should identify connections and reconnection attempts", () => {
+    jest.useFakeTimers();
+    const sse = new SSE("http://example.com", {
+      logger,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    sse.xhr.trigger("error", {});
+
+    expect(records("warn", "SSE connection failed")).toHaveLength(1);
+    expect(records("info", "SSE reconnection scheduled")[0]).toMatchObject({
+      delay: 100,
+      nextAttempt: 1,
+    });
+
+    jest.advanceTimersByTime(100);
+    const connecting = records("info", "SSE connecting");
+    expect(connecting).toHaveLength(2);
+    expect(connecting[1].connectionId).toBe(connecting[0].connectionId + 1);
+    expect(connecting[1].attempt).toBe(1);
+
+    sse.close();
+    jest.useRealTimers();
+  });
+
+  it("should redact sensitive headers", () => {
+    new SSE("http://example.com", {
+      logger,
+      headers: {
+        authorization: "Bearer secret",
+        "X-Api-Key": "key",
+        "X-Request-Id": "42",
+      },
+      redactHeaders: ["Authorization", "x-api-key"],
+    });
+
+    expect(records("info", "SSE connecting")[0].headers).toStrictEqual({
+      authorization: "[REDACTED]",
+      "X-Api-Key": "[REDACTED]",
+      "X-Request-Id": "42",
+    });
+  });
+
+  it("should redact the Authorization header by default", () => {
+    new SSE("http://example.com", {
+      logger,
+      headers: { Authorization: "Bearer secret" },
+    });
+
+    expect(records("info", "SSE connecting")[0].headers).toStrictEqual({
+      Authorization: "[REDACTED]",
+    });
+  });
+
+  it("should log everything to the console in debug mode", () => {
+    const debug = jest.spyOn(console, "debug").mockImplementation(() => {});
+    const info = jest.spyOn(console, "info").mockImplementation(() => {});
+    const sse = new SSE("http://example.com", { debug: true });
+    open(sse);
+
+    expect(sse.logger).toBe(console);
+    expect(info).toHaveBeenCalledWith(
+      "SSE connecting",
+      expect.objectContaining({ url: "http://example.com" })
+    );
+    expect(debug).toHaveBeenCalledWith(
+      "SSE event dispatched",
+      expect.objectContaining({ eventType: "open" })
+    );
+    debug.mockRestore();
+    info.mockRestore();
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Parser
+// =============================================================================
+
+describe("SSE Parser", () => {
+  let onEvent;
+
+  beforeEach(() => {
+    onEvent = jest.fn();
+  });
+
+  it("should parse events fed in arbitrary chunks", () => {
+    const parser = new SSEParser({ onEvent });
+    parser.feed("id: 1\nevent: upd");
+    parser.feed("ate\ndata: a\ndata: b\n");
+    expect(onEvent).not.toHaveBeenCalled();
+    expect(parser.buffer).toBe("id: 1\nevent: update\ndata: a\ndata: b\n");
+
+    parser.feed("\ndata: c\r\n\r\n");
+    expect(onEvent).toHaveBeenCalledTimes(2);
+    expect(onEvent.mock.calls[0][0]).toStrictEqual({
+      type: "update",
+      data: "a\nb",
+      id: "1",
+      lastEventId: "1",
+      retry: null,
+      raw: "id: 1\nevent: update\ndata: a\ndata: b",
+    });
+    expect(onEvent.mock.calls[1][0]).toStrictEqual({
+      type: "message",
+      data: "c",
+      id: null,
+      lastEventId: "1",
+      retry: null,
+      raw: "data: c",
+    });
+    expect(parser.buffer).toBe("");
+  });
+
+  it("should decode bytes split within a character", () => {
+    const parser = new SSEParser({ onEvent });
+    const bytes = new TextEncoder().encode("\uFEFFdata: h\u00e9\u00e9\n\n");
+    parser.feed(bytes.slice(0, 6));
+    parser.feed(bytes.slice(6, 11).buffer);
+    parser.feed(bytes.slice(11));
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent.mock.calls[0][0].data).toBe("h\u00e9\u00e9");
+  });
+
+  it("should report the retry and last event ID of data-less events", () => {
+    const onRetry = jest.fn();
+    const onLastEventId = jest.fn();
+    const parser = new SSEParser({
+      onEvent,
+      onRetry,
+      onLastEventId,
+      lastEventId: "0",
+    });
+    parser.feed("retry: 500\nid: 1\n\nid: 1\n\nretry: x\n\n");
+
+    expect(onEvent).not.toHaveBeenCalled();
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(onRetry).toHaveBeenCalledWith(500);
+    expect(onLastEventId).toHaveBeenCalledTimes(1);
+    expect(onLastEventId).toHaveBeenCalledWith("1");
+    expect(parser.lastEventId).toBe("1");
+  });
+
+  it("should discard an incomplete event at the end of the stream", () => {
+    const parser = new SSEParser({ onEvent });
+    parser.feed("data: a\n\ndata: b");
+    parser.end();
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(parser.buffer).toBe("");
+  });
+
+  it("should dispatch an incomplete event if asked to", () => {
+    const parser = new SSEParser({ onEvent, dispatchIncomplete: true });
+    parser.feed("data: a\n\ndata: b");
+    parser.end();
+
+    expect(onEvent).toHaveBeenCalledTimes(2);
+    expect(onEvent.mock.calls[1][0].data).toBe("b");
+  });
+
+  it("should start a new stream after a reset", () => {
+    const parser = new SSEParser({ onEvent });
+    parser.feed("\uFEFFid: 1\ndata: a");
+    parser.reset();
+    parser.feed("\uFEFFdata: b\n\n");
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent.mock.calls[0][0].data).toBe("b");
+    expect(onEvent.mock.calls[0][0].lastEventId).toBe("");
+  });
+
+  it("should parse a single event", () => {
+    const parser = new SSEParser();
+    expect(parser.parse("event: ping\ndata: x")).toMatchObject({
+      type: "ping",
+      data: "x",
+    });
+    expect(parser.parse(": comment")).toBeNull();
+  });
+
+  it("should parse a stream through a TransformStream", async () => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode("data: a\n\nid: 2\nda"));
+        controller.enqueue(encoder.encode("ta: b\n\ndata: c"));
+        controller.close();
+      },
+    });
+
+    const events = [];
+    const reader = body.pipeThrough(SSEParser.transformStream()).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      events.push(value);
+    }
+
+    expect(events.map((e) => e.data)).toStrictEqual(["a", "b"]);
+    expect(events[1].lastEventId).toBe("2");
+  });
+
+  it("should be used by SSE to parse the stream", () => {
+    const sse = new SSE("http://example.com");
+    const listener = jest.fn();
+    sse.addEventListener("message", listener);
+    sse.xhr.responseText = "id: 1\nretry: 100\ndata: a\n\ndata: b";
+    sse.xhr.trigger("progress", {});
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(sse.lastEventId).toBe("1");
+    expect(sse.reconnectDelay).toBe(100);
+    expect(sse.chunk).toBe("data: b");
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Writer
+// =============================================================================
+
+describe("SSE Writer", () => {
+  function createResponse() {
+    const handlers = {};
+    return {
+      headersSent: false,
+      setHeader: jest.fn(),
+      write: jest.fn(() => true),
+      end: jest.fn(),
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+      }),
+      emit: (event) => handlers[event](),
+    };
+  }
+
+  it("should format events", () => {
+    expect(
+      formatEvent({ id: 1, event: "update", retry: 500, data: "hello" })
+    ).toBe("id: 1\nevent: update\nretry: 500\ndata: hello\n\n");
+    expect(formatEvent({ data: "" })).toBe("data: \n\n");
+    expect(formatEvent({ id: "" })).toBe("id: \n\n");
+  });
+
+  it("should split multi-line data into multiple data fields", () => {
+    expect(formatEvent({ data: "a\nb\r\nc\rd" })).toBe(
+      "data: a\ndata: b\ndata: c\ndata: d\n\n"
+    );
+  });
+
+  it("should serialize data that isn't a string to JSON", () => {
+    expect(formatEvent({ data: { value: 42 } })).toBe('data: {"value":42}\n\n');
+  });
+
+  it("should reject invalid fields", () => {
+    expect(() => formatEvent({ id: "a\0b" })).toThrow(TypeError);
+    expect(() => formatEvent({ id: "a\rb" })).toThrow(TypeError);
+    expect(() => formatEvent({ id: "a\nb" })).toThrow(TypeError);
+    expect(() => formatEvent({ event: "a\nb" })).toThrow(TypeError);
+    expect(() => formatEvent({ retry: -1 })).toThrow(TypeError);
+    expect(() => formatEvent({ retry: 1.5 })).toThrow(TypeError);
+  });
+
+  it("should format comments", () => {
+    expect(formatComment()).toBe(":\n");
+    expect(formatComment("keep\nalive")).toBe(": keep\n: alive\n");
+  });
+
+  it("should round-trip through the parser", () => {
+    const events = [
+      { id: "1", event: "update", data: "line 1\n line 2\n\nline 4" },
+      { id: "  2", data: " leading space" },
+      { data: "" },
+      { event: "é", data: "data: :\r\n" },
+    ];
+    const onEvent = jest.fn();
+    const parser = new SSEParser({ onEvent });
+    events.forEach((event) => parser.feed(formatEvent(event)));
+    parser.feed(formatComment("ignored"));
+
+    expect(onEvent).toHaveBeenCalledTimes(4);
+    expect(onEvent.mock.calls.map((call) => call[0])).toMatchObject([
+      { id: "1", type: "update", data: "line 1\n line 2\n\nline 4" },
+      { id: "  2", type: "message", data: " leading space" },
+      { id: null, type: "message", data: "", lastEventId: "  2" },
+      { id: null, type: "é", data: "data: :\n" },
+    ]);
+  });
+
+  it("should write to a Node.js response", () => {
+    const res = createResponse();
+    const writer = new SSEWriter(res);
+
+    expect(res.setHeader).toHaveBeenCalledWith(
+      "Content-Type",
+      "text/event-stream"
+    );
+    expect(res.setHeader).toHaveBeenCalledWith("Cache-Control", "no-cache");
+    expect(writer.send({ data: "hello" })).toBe(true);
+    writer.comment("hi");
+    writer.close();
+
+    expect(res.write.mock.calls).toStrictEqual([
+      ["data: hello\n\n"],
+      [": hi\n"],
+    ]);
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(writer.closed).toBe(true);
+    expect(() => writer.send({ data: "late" })).toThrow("SSEWriter is closed");
+  });
+
+  it("should not set the headers once sent", () => {
+    const res = createResponse();
+    res.headersSent = true;
+    new SSEWriter(res);
+
+    expect(res.setHeader).not.toHaveBeenCalled();
+  });
+
+  it("should send heartbeats until the client disconnects", () => {
+    jest.useFakeTimers();
+    const res = createResponse();
+    const writer = new SSEWriter(res, { heartbeat: 1000 });
+
+    jest.advanceTimersByTime(2500);
+    expect(res.write.mock.calls).toStrictEqual([[":\n"], [":\n"]]);
+
+    res.emit("close");
+    jest.advanceTimersByTime(2000);
+    expect(res.write).toHaveBeenCalledTimes(2);
+    expect(writer.closed).toBe(true);
+    jest.useRealTimers();
+  });
+
+  it("should stop the heartbeats when the WritableStream fails", async () => {
+    const writable = new WritableStream({
+      write() {
+        return Promise.reject(new Error("Client disconnected"));
+      },
+    });
+    const writer = new SSEWriter(writable, { heartbeat: 10 });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(writer.closed).toBe(true);
+    expect(writer._heartbeat).toBeNull();
+  });
+
+  it("should write to a WritableStream", async () => {
+    const { readable, writable } = new TransformStream();
+    const writer = new SSEWriter(writable);
+    writer.send({ id: "1", data: "a" });
+    writer.send({ data: "b" });
+    writer.close();
+
+    const events = [];
+    const reader = readable
+      .pipeThrough(SSEParser.transformStream())
+      .getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      events.push(value);
+    }
+
+    expect(events.map((e) => e.data)).toStrictEqual(["a", "b"]);
+    expect(writer.closed).toBe(true);
+  });
+});
+
+// =============================================================================
+// SSE.js Features: Recording and replay
+// =============================================================================
+
+describe("SSE Recorder", () => {
+  function open(sse) {
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+  }
+
+  function receive(sse, text) {
+    sse.xhr.responseText += text;
+    sse.xhr.trigger("progress", {});
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should record the connections of the stream", () => {
+    const sse = new SSE("http://example.com", {
+      start: false,
+      headers: { "X-Custom": "value" },
+    });
+    const recorder = new SSERecorder(sse);
+    sse.stream();
+    jest.advanceTimersByTime(10);
+    open(sse);
+    jest.advanceTimersByTime(5);
+    receive(sse, "id: 1\ndata: hel");
+    receive(sse, "lo\n\n");
+    jest.advanceTimersByTime(5);
+    sse.xhr.trigger("load", {});
+
+    expect(recorder.trace()).toStrictEqual({
+      version: 1,
+      url: "http://example.com",
+      startedAt: 1000,
+      connections: [
+        {
+          time: 0,
+          request: {
+            url: "http://example.com",
+            method: "GET",
+            headers: { "X-Custom": ["value"] },
+          },
+          records: [
+            {
+              type: "response",
+              time: 10,
+              responseCode: 200,
+              headers: { "content-type": ["text/event-stream"] },
+            },
+            { type: "data", time: 15, data: "id: 1\ndata: hel" },
+            { type: "data", time: 15, data: "lo\n\n" },
+            { type: "end", time: 20 },
+          ],
+        },
+      ],
+      readyStates: [
+        { time: 0, readyState: SSE.CONNECTING },
+        { time: 10, readyState: SSE.OPEN },
+        { time: 20, readyState: SSE.CLOSED },
+      ],
+    });
+  });
+
+  it("should record failures and reconnections", () => {
+    const sse = new SSE("http://example.com", {
+      start: false,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    const recorder = new SSERecorder(sse);
+    sse.stream();
+    open(sse);
+    receive(sse, "id: 1\ndata: first\n\n");
+    sse.xhr.trigger("error", new Error("Network error"));
+    jest.advanceTimersByTime(100);
+    sse.close();
+
+    const connections = recorder.trace().connections;
+    expect(connections).toHaveLength(2);
+    expect(connections[0].records[2]).toStrictEqual({
+      type: "error",
+      time: 0,
+      responseCode: 200,
+      data: undefined,
+    });
+    expect(connections[1].time).toBe(100);
+    expect(connections[1].request.headers).toStrictEqual({
+      "Last-Event-ID": ["1"],
+    });
+  });
+
+  it("should redact headers", () => {
+    const sse = new SSE("http://example.com", {
+      start: false,
+      headers: { Authorization: "Bearer secret" },
+    });
+    const recorder = new SSERecorder(sse);
+    sse.stream();
+    sse.xhr.getAllResponseHeaders.mockReturnValue(
+      "content-type: text/event-stream\r\ncookie: a=1\r\n"
+    );
+    open(sse);
+
+    const connection = recorder.trace().connections[0];
+    expect(connection.request.headers).toStrictEqual({
+      Authorization: ["[REDACTED]"],
+    });
+    expect(connection.records[0].headers).toStrictEqual({
+      "content-type": ["text/event-stream"],
+      cookie: ["[REDACTED]"],
+    });
+  });
+
+  it("should serialize the trace to JSON", () => {
+    const sse = new SSE("http://example.com", { start: false });
+    const recorder = new SSERecorder(sse);
+    sse.stream();
+    open(sse);
+    receive(sse, "data: hello\n\n");
+
+    expect(JSON.parse(JSON.stringify(recorder))).toStrictEqual(
+      recorder.trace()
+    );
+  });
+
+  it("should stop recording", () => {
+    const sse = new SSE("http://example.com", {
+      start: false,
+      autoReconnect: true,
+      reconnectDelay: 100,
+    });
+    const recorder = new SSERecorder(sse);
+    sse.stream();
+    recorder.stop();
+    sse.xhr.trigger("load", {});
+    jest.advanceTimersByTime(100);
+    sse.close();
+
+    expect(sse.transport).toBeNull();
+    expect(recorder.recording).toBe(false);
+    expect(recorder.connections).toHaveLength(1);
+    expect(recorder.connections[0].records).toStrictEqual([
+      { type: "end", time: 0 },
+    ]);
+    expect(recorder.readyStates).toHaveLength(1);
+  });
+});
+
+describe("SSE Replay", () => {
+  const trace = {
+    version: 1,
+    url: "http://example.com",
+    startedAt: 1000,
+    connections: [
+      {
+        time: 0,
+        request: { url: "http://example.com", method: "GET", headers: {} },
+        records: [
+          {
+            type: "response",
+            time: 10,
+            responseCode: 200,
+            headers: { "content-type": ["text/event-stream"] },
+          },
+          { type: "data", time: 20, data: "id: 1\ndata: hel" },
+          { type: "data", time: 50, data: "lo\r" },
+          { type: "data", time: 60, data: "\ndata: world\n\n" },
+          { type: "error", time: 70, responseCode: 200, data: null },
+        ],
+      },
+      {
+        time: 170,
+        request: {
+          url: "http://example.com",
+          method: "GET",
+          headers: { "Last-Event-ID": ["1"] },
+        },
+        records: [
+          {
+            type: "response",
+            time: 5,
+            responseCode: 200,
+            headers: { "content-type": ["text/event-stream"] },
+          },
+          { type: "data", time: 10, data: "data: again\n\n" },
+          { type: "end", time: 15 },
+        ],
+      },
+    ],
+    readyStates: [],
+  };
+
+  it("should replay a trace instantly", async () => {
+    const onMessage = jest.fn();
+    const sse = new SSE("http://example.com", {
+      transport: createReplayTransport(trace),
+    });
+    sse.addEventListener("message", onMessage);
+    await Promise.resolve();
+
+    expect(sse.xhr).toBeNull();
+    expect(XMLHttpRequest).not.toHaveBeenCalled();
+    expect(onMessage.mock.calls.map((call) => call[0].data)).toStrictEqual([
+      "hello\nworld",
+    ]);
+    expect(sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should replay the rest of the trace when a listener throws", async () => {
+    const reportError = global.reportError;
+    global.reportError = jest.fn();
+
+    try {
+      const error = new Error("listener failed");
+      const onError = jest.fn();
+      const sse = new SSE("http://example.com", {
+        transport: createReplayTransport(trace),
+      });
+      sse.addEventListener("message", () => {
+        throw error;
+      });
+      sse.addEventListener("error", onError);
+      await Promise.resolve();
+
+      expect(global.reportError).toHaveBeenCalledWith(error);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(sse.readyState).toBe(SSE.CLOSED);
+    } finally {
+      global.reportError = reportError;
+    }
+  });
+
+  it("should replay a trace in real time, across reconnections", async () => {
+    jest.useFakeTimers();
+    const onMessage = jest.fn();
+    const onError = jest.fn();
+    const sse = new SSE("http://example.com", {
+      transport: createReplayTransport(trace, { realtime: true }),
+      autoReconnect: true,
+      reconnectDelay: 100,
+      maxRetries: 2,
+    });
+    sse.addEventListener("message", onMessage);
+    sse.addEventListener("error", onError);
+
+    jest.advanceTimersByTime(59);
+    expect(sse.readyState).toBe(SSE.OPEN);
+    expect(onMessage).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(10);
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(110);
+    expect(onMessage).toHaveBeenCalledTimes(2);
+    expect(onMessage.mock.calls[1][0].data).toBe("again");
+
+    // The trace is exhausted.
+    jest.advanceTimersByTime(106);
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(onError.mock.calls[1][0].data).toBe("No more connections to replay");
+    sse.close();
+    jest.useRealTimers();
+  });
+
+  it("should stop replaying when aborted", () => {
+    jest.useFakeTimers();
+    const onMessage = jest.fn();
+    const onAbort = jest.fn();
+    const sse = new SSE("http://example.com", {
+      transport: createReplayTransport(trace, { realtime: true }),
+    });
+    sse.addEventListener("message", onMessage);
+    sse.addEventListener("abort", onAbort);
+
+    jest.advanceTimersByTime(20);
+    sse.close();
+    jest.advanceTimersByTime(100);
+
+    expect(onAbort).toHaveBeenCalledTimes(1);
+    expect(onMessage).not.toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+
+  it("should replay what was recorded", async () => {
+    const sse = new SSE("http://example.com", { start: false });
+    const recorder = new SSERecorder(sse);
+    const recorded = jest.fn();
+    sse.addEventListener("message", recorded);
+    sse.stream();
+    sse.xhr.readyState = XMLHttpRequest.HEADERS_RECEIVED;
+    sse.xhr.trigger("readystatechange", {});
+    ["data: a\r", "\ndata: b\n", "\nid: 1\n", "data: c\n\n"].forEach(
+      (chunk) => {
+        sse.xhr.responseText += chunk;
+        sse.xhr.trigger("progress", {});
+      }
+    );
+    sse.xhr.trigger("load", {});
+
+    const replayed = jest.fn();
+    const replay = new SSE("http://example.com", {
+      transport: createReplayTransport(JSON.parse(JSON.stringify(recorder))),
+    });
+    replay.addEventListener("message", replayed);
+    await Promise.resolve();
+
+    expect(replayed.mock.calls.map((call) => call[0].data)).toStrictEqual(
+      recorded.mock.calls.map((call) => call[0].data)
+    );
+    expect(replayed).toHaveBeenCalledTimes(2);
+    expect(replay.lastEventId).toBe("1");
+  });
+});
+
 // =============================================================================
 // SSE Spec 9.2.5: Parsing an event stream
 // =============================================================================
@@ -290,6 +3939,17 @@ describe("SSE Spec 9.2.5: Parsing an event stream", () => {
       expect(listener.mock.calls[2][0].data).toBe("msg3");
     });
 
+    it("should end events with a blank line after any line ending", () => {
+      sse.xhr.responseText =
+        "data: msg1\n\r\ndata: msg2\r\n\rdata: msg3\r\n\n";
+      sse.xhr.trigger("progress", {});
+
+      expect(listener).toHaveBeenCalledTimes(3);
+      expect(listener.mock.calls[0][0].data).toBe("msg1");
+      expect(listener.mock.calls[1][0].data).toBe("msg2");
+      expect(listener.mock.calls[2][0].data).toBe("msg3");
+    });
+
     it("should parse fields with CR line endings", () => {
       sse.xhr.responseText = "data: line1\rdata: line2\r\r";
       sse.xhr.trigger("progress", {});
@@ -805,6 +4465,13 @@ describe("SSE Spec 9.2.6: Interpreting an event stream", () => {
 
       expect(sse.reconnectDelay).toBe(initialDelay);
     });
+
+    it("should keep a valid retry field followed by an invalid one", () => {
+      sse.xhr.responseText = "retry: 5000\nretry: 1000x\ndata: test\n\n";
+      sse.xhr.trigger("progress", {});
+
+      expect(sse.reconnectDelay).toBe(5000);
+    });
   });
 
   /**
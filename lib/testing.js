@@ -0,0 +1,298 @@
+/**
+ * sse.js - A flexible EventSource polyfill/replacement.
+ * https://github.com/mpetazzoni/sse.js
+ *
+ * Copyright (C) 2016-2024 Maxime Petazzoni <maxime.petazzoni@bulix.org>.
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Testing entry point. Provides a transport whose connections are scripted
+ * by the test, to unit-test code using SSE without a server, and without
+ * mocking XMLHttpRequest or fetch().
+ */
+
+import { SSE, formatEvent } from "./sse.js";
+
+/**
+ * Normalize response headers to a map of lowercased header names to arrays
+ * of header values, like the transports report them.
+ *
+ * @param {Object.<string, string | string[]>} headers
+ * @return {Object.<string, string[]>}
+ */
+function normalizeHeaders(headers) {
+  const result = {};
+  for (let key in headers) {
+    const name = key.toLowerCase();
+    result[name] = (result[name] || []).concat(headers[key]);
+  }
+  return result;
+}
+
+/**
+ * One connection opened by SSE through a MockTransport. The test plays the
+ * server: it responds, pushes data, and ends or fails the connection.
+ *
+ * @type MockConnection
+ * @param {SSETransportRequest} request
+ * @param {SSETransportHandlers} handlers
+ * @return {MockConnection}
+ */
+var MockConnection = function (request, handlers) {
+  /** @type {SSETransportRequest} */
+  this.request = request;
+  /** @type {SSETransportHandlers} */
+  this.handlers = handlers;
+  /** @type {boolean} */
+  this.responded = false;
+  /** @type {boolean} */
+  this.finished = false;
+  /** @type {boolean} */
+  this.aborted = false;
+
+  /**
+   * Send the response headers. Responses that aren't 2xx fail the
+   * connection, with the given body as the error data.
+   * @type Respond
+   * @return {void}
+   */
+  this.respond = function (responseCode, headers, body) {
+    this._check();
+    if (this.responded) {
+      throw new Error("Mock SSE connection already responded");
+    }
+    if (responseCode === undefined) {
+      responseCode = 200;
+    }
+    if (headers === undefined) {
+      headers = { "Content-Type": "text/event-stream" };
+    }
+
+    this.responded = true;
+    this.handlers.onResponse(responseCode, normalizeHeaders(headers));
+    if (responseCode < 200 || responseCode >= 300) {
+      this.finished = true;
+      this.handlers.onError(responseCode, body === undefined ? "" : body);
+    }
+  };
+
+  /**
+   * Push a raw chunk of the response body, responding with a 200
+   * text/event-stream response first if needed.
+   * @type Push
+   * @return {void}
+   */
+  this.push = function (chunk) {
+    this._check();
+    if (!this.responded) {
+      this.respond();
+    }
+    this.handlers.onData(chunk);
+  };
+
+  /**
+   * Push an event, formatted with formatEvent().
+   * @type MockSend
+   * @return {void}
+   */
+  this.send = function (event) {
+    this.push(formatEvent(event));
+  };
+
+  /**
+   * End the response body normally.
+   * @type End
+   * @return {void}
+   */
+  this.end = function () {
+    this._check();
+    if (!this.responded) {
+      this.respond();
+    }
+    this.finished = true;
+    this.handlers.onEnd();
+  };
+
+  /**
+   * Fail the connection with a network error.
+   * @type Fail
+   * @return {void}
+   */
+  this.fail = function (error) {
+    this._check();
+    this.finished = true;
+    this.handlers.onError(
+      0,
+      error === undefined ? new Error("Network error") : error
+    );
+  };
+
+  /**
+   * Abort the connection. SSE calls this when closing the connection; tests
+   * can call it to simulate an aborted request.
+   * @type End
+   * @return {void}
+   */
+  this.abort = function () {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.aborted = true;
+    this.handlers.onAbort();
+  };
+
+  /** @private */
+  this._check = function () {
+    if (this.finished) {
+      throw new Error("Mock SSE connection is finished");
+    }
+  };
+};
+
+/**
+ * A transport recording the connections SSE opens with it. Pass its
+ * `transport` factory as the `transport` option of SSE.
+ *
+ * @type MockTransport
+ * @return {MockTransport}
+ */
+var MockTransport = function () {
+  /** @type {MockConnection[]} */
+  this.connections = [];
+
+  /** @type {SSETransportFactory} */
+  this.transport = (request, handlers) => {
+    const connection = new MockConnection(request, handlers);
+    this.connections.push(connection);
+    return connection;
+  };
+
+  /**
+   * The last connection opened, if any.
+   * @type {MockConnection|null}
+   */
+  Object.defineProperty(this, "connection", {
+    get: function () {
+      return this.connections[this.connections.length - 1] || null;
+    },
+  });
+};
+
+/**
+ * Create an SSE instance connected through a new MockTransport. Timers are
+ * under the control of the test: reconnect() makes the scheduled
+ * reconnection attempt immediately, and stall() detects a stalled stream
+ * as if the idle timeout had expired.
+ *
+ * @param {string} url
+ * @param {SSEOptions} [options]
+ * @return {MockSSE}
+ */
+function createMockSSE(url, options) {
+  const transport = new MockTransport();
+  const sse = new SSE(
+    url,
+    Object.assign({}, options, { transport: transport.transport })
+  );
+
+  return {
+    sse: sse,
+    transport: transport,
+    get connection() {
+      return transport.connection;
+    },
+    reconnect: function () {
+      if (!sse.reconnectTimer) {
+        return false;
+      }
+      sse._reconnect();
+      return true;
+    },
+    stall: function () {
+      if (!sse.connection) {
+        return false;
+      }
+      sse._clearIdleTimer();
+      sse._onStreamIdle();
+      return true;
+    },
+  };
+}
+
+export { MockTransport, MockConnection, createMockSSE };
+
+/**
+ * @typedef {import("./sse.js").SSEOptions} SSEOptions
+ * @typedef {import("./sse.js").SSEWriterEvent} SSEWriterEvent
+ * @typedef {import("./sse.js").SSETransportRequest} SSETransportRequest
+ * @typedef {import("./sse.js").SSETransportHandlers} SSETransportHandlers
+ * @typedef {import("./sse.js").SSETransportFactory} SSETransportFactory
+ */
+/**
+ * @callback Respond
+ * @param {number} [responseCode] - status code, 200 by default
+ * @param {Object.<string, string | string[]>} [headers] - response headers, `Content-Type: text/event-stream` by default
+ * @param {*} [body] - response body of a failed response
+ * @returns {void}
+ */
+/**
+ * @callback Push
+ * @param {string} chunk
+ * @returns {void}
+ */
+/**
+ * @callback MockSend
+ * @param {SSEWriterEvent} event
+ * @returns {void}
+ */
+/**
+ * @callback End
+ * @returns {void}
+ */
+/**
+ * @callback Fail
+ * @param {*} [error] - the error reported to SSE
+ * @returns {void}
+ */
+/**
+ * @typedef {Object} MockConnection
+ * @property {SSETransportRequest} request
+ * @property {SSETransportHandlers} handlers
+ * @property {boolean} responded
+ * @property {boolean} finished
+ * @property {boolean} aborted
+ * @property {Respond} respond
+ * @property {Push} push
+ * @property {MockSend} send
+ * @property {End} end
+ * @property {Fail} fail
+ * @property {End} abort
+ */
+/**
+ * @typedef {Object} MockTransport
+ * @property {MockConnection[]} connections
+ * @property {MockConnection|null} connection
+ * @property {SSETransportFactory} transport
+ */
+/**
+ * @typedef {Object} MockSSE
+ * @property {import("./sse.js").SSE} sse
+ * @property {MockTransport} transport
+ * @property {MockConnection|null} connection - the last connection opened, if any
+ * @property {() => boolean} reconnect - make the scheduled reconnection attempt now; false if none is scheduled
+ * @property {() => boolean} stall - detect a stalled stream now; false if not connected
+ */
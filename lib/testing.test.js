@@ -0,0 +1,234 @@
+/**
+ * sse.js - A flexible EventSource polyfill/replacement.
+ * https://github.com/mpetazzoni/sse.js
+ *
+ * Copyright (C) 2016-2024 Maxime Petazzoni <maxime.petazzoni@bulix.org>.
+ * All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * =============================================================================
+ * Test Suite for the testing utilities
+ * =============================================================================
+ */
+
+import { SSE } from "sse.js";
+import { MockTransport, createMockSSE } from "sse.js/testing";
+
+let mocks;
+
+function mock(options) {
+  const result = createMockSSE("http://localhost/events", options);
+  mocks.push(result);
+  return result;
+}
+
+beforeEach(() => {
+  mocks = [];
+});
+
+afterEach(() => {
+  mocks.forEach((m) => m.sse.close());
+});
+
+describe("MockTransport", () => {
+  it("should record the connections opened through it", () => {
+    const transport = new MockTransport();
+    const sse = new SSE("http://localhost/events", {
+      transport: transport.transport,
+      headers: { "X-Custom": "value" },
+      payload: "hello",
+    });
+
+    expect(typeof XMLHttpRequest).toBe("undefined");
+    expect(sse.xhr).toBeNull();
+    expect(transport.connections).toHaveLength(1);
+    expect(transport.connection).toBe(sse.connection);
+    expect(transport.connection.request).toMatchObject({
+      url: "http://localhost/events",
+      method: "POST",
+      headers: { "X-Custom": "value" },
+      payload: "hello",
+    });
+    sse.close();
+  });
+
+  it("should have no connection before SSE connects", () => {
+    const transport = new MockTransport();
+    expect(transport.connection).toBeNull();
+  });
+});
+
+describe("createMockSSE", () => {
+  it("should respond with a text/event-stream response", () => {
+    const m = mock();
+    const onOpen = jest.fn();
+    m.sse.addEventListener("open", onOpen);
+    m.connection.respond(200, {
+      "Content-Type": "text/event-stream",
+      "X-A": ["1", "2"],
+    });
+
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onOpen.mock.calls[0][0].responseCode).toBe(200);
+    expect(onOpen.mock.calls[0][0].headers).toStrictEqual({
+      "content-type": ["text/event-stream"],
+      "x-a": ["1", "2"],
+    });
+    expect(m.sse.readyState).toBe(SSE.OPEN);
+  });
+
+  it("should deliver raw chunks and structured events", () => {
+    const m = mock();
+    const onMessage = jest.fn();
+    const onUpdate = jest.fn();
+    m.sse.addEventListener("message", onMessage);
+    m.sse.addEventListener("update", onUpdate);
+
+    m.connection.push("data: hel");
+    expect(onMessage).not.toHaveBeenCalled();
+    m.connection.push("lo\n\n");
+    m.connection.send({ id: "2", event: "update", data: { value: 42 } });
+
+    expect(m.connection.responded).toBe(true);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].data).toBe("hello");
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].data).toBe('{"value":42}');
+    expect(m.sse.lastEventId).toBe("2");
+  });
+
+  it("should fail the connection on responses that aren't 2xx", () => {
+    const m = mock();
+    const onError = jest.fn();
+    m.sse.addEventListener("error", onError);
+    m.connection.respond(503, {}, "unavailable");
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].responseCode).toBe(503);
+    expect(onError.mock.calls[0][0].data).toBe("unavailable");
+    expect(m.connection.finished).toBe(true);
+    expect(m.sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should end the stream", () => {
+    const m = mock();
+    const onMessage = jest.fn();
+    m.sse.addEventListener("message", onMessage);
+    m.connection.push("data: last");
+    m.connection.end();
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(m.connection.finished).toBe(true);
+    expect(m.sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should simulate network errors", () => {
+    const m = mock();
+    const onError = jest.fn();
+    m.sse.addEventListener("error", onError);
+    const error = new Error("boom");
+    m.connection.fail(error);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].responseCode).toBe(0);
+    expect(onError.mock.calls[0][0].data).toBe(error);
+  });
+
+  it("should abort the connection when SSE is closed", () => {
+    const m = mock();
+    const connection = m.connection;
+    const onAbort = jest.fn();
+    m.sse.addEventListener("abort", onAbort);
+    m.sse.close();
+
+    expect(connection.aborted).toBe(true);
+    expect(connection.finished).toBe(true);
+    expect(onAbort).toHaveBeenCalledTimes(1);
+  });
+
+  it("should simulate aborted requests", () => {
+    const m = mock();
+    const onAbort = jest.fn();
+    m.sse.addEventListener("abort", onAbort);
+    m.connection.respond();
+    m.connection.abort();
+
+    expect(onAbort).toHaveBeenCalledTimes(1);
+    expect(m.sse.readyState).toBe(SSE.CLOSED);
+  });
+
+  it("should refuse to script a finished connection", () => {
+    const m = mock();
+    m.connection.end();
+
+    expect(() => m.connection.push("data: late\n\n")).toThrow(
+      "Mock SSE connection is finished"
+    );
+    expect(() => m.connection.fail()).toThrow(
+      "Mock SSE connection is finished"
+    );
+  });
+
+  it("should refuse to respond twice", () => {
+    const m = mock();
+    m.connection.respond();
+
+    expect(() => m.connection.respond()).toThrow(
+      "Mock SSE connection already responded"
+    );
+  });
+
+  it("should make the scheduled reconnection attempt on demand", () => {
+    const m = mock({
+      autoReconnect: true,
+      reconnectDelay: 1000,
+      backoff: { maxDelay: 60000, jitter: "none" },
+    });
+    const onReconnecting = jest.fn();
+    m.sse.addEventListener("reconnecting", onReconnecting);
+    expect(m.reconnect()).toBe(false);
+
+    m.connection.send({ id: "1", data: "first" });
+    m.connection.fail();
+    expect(onReconnecting.mock.calls[0][0].delay).toBe(1000);
+    expect(m.reconnect()).toBe(true);
+
+    expect(m.transport.connections).toHaveLength(2);
+    expect(m.connection.request.headers["Last-Event-ID"]).toBe("1");
+    expect(m.sse.readyState).toBe(SSE.CONNECTING);
+    expect(m.sse.retryCount).toBe(1);
+
+    m.connection.fail();
+    expect(onReconnecting.mock.calls[1][0].delay).toBe(2000);
+    expect(m.reconnect()).toBe(true);
+    expect(m.transport.connections).toHaveLength(3);
+  });
+
+  it("should simulate stalled streams", () => {
+    const m = mock({ autoReconnect: true, idleTimeout: 30000 });
+    const onTimeout = jest.fn();
+    m.sse.addEventListener("timeout", onTimeout);
+    m.connection.send({ data: "first" });
+    const stalled = m.connection;
+
+    expect(m.stall()).toBe(true);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onTimeout.mock.calls[0][0].idleTimeout).toBe(30000);
+    expect(stalled.aborted).toBe(true);
+    expect(m.stall()).toBe(false);
+
+    m.reconnect();
+    expect(m.transport.connections).toHaveLength(2);
+  });
+});
@@ -0,0 +1,36 @@
+import type { Agent } from "node:http";
+import type { ConnectionOptions } from "node:tls";
+import type { SSETransportFactory } from "./sse";
+
+export {
+  SSE,
+  SSEPool,
+  SSEParser,
+  SSEWriter,
+  SSERecorder,
+  formatEvent,
+  formatComment,
+  createReplayTransport,
+} from "./sse";
+export type * from "./sse";
+
+export type SSENodeTransportOptions = {
+  /**
+   * - agent to make the request with
+   */
+  agent?: Agent | false;
+  /**
+   * - TLS options for HTTPS requests
+   */
+  tls?: ConnectionOptions;
+  /**
+   * - URL of the HTTP proxy to connect through
+   */
+  proxy?: string;
+};
+/**
+ * node:http/node:https-based transport. The transport options accept an
+ * `agent`, `tls` options for HTTPS connections (ca, cert, key,
+ * rejectUnauthorized, ...) and the URL of an HTTP `proxy`.
+ */
+export declare const nodeTransport: SSETransportFactory;
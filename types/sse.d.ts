@@ -1,17 +1,20 @@
 export type SSE = {
   /** Constructor. */
-  new (url: string, options?: SSEOptions): SSE;
+  new (url: SSEDynamic<string>, options?: SSEOptions): SSE;
 
-  url: string;
+  /**
+   * - URL to connect to
+   */
+  url: SSEDynamic<string>;
 
   /**
    * - headers
    */
-  headers: SSEHeaders;
+  headers: SSEDynamic<SSEHeaders>;
   /**
    * - payload
    */
-  payload?: SSEPayload;
+  payload?: SSEDynamic<SSEPayload>;
   /**
    * - HTTP Method
    */
@@ -24,6 +27,10 @@ export type SSE = {
    * - debugging flag
    */
   debug: boolean;
+  /**
+   * - flag, if the WHATWG EventSource semantics are followed exactly
+   */
+  strict: boolean;
   /**
    * - flag, if connection should auto-reconnect on disconnect/error
    */
@@ -32,6 +39,83 @@ export type SSE = {
    * - delay in ms before reconnecting
    */
   reconnectDelay: number;
+  /**
+   * - exponential backoff policy for reconnection attempts
+   */
+  backoff: SSEBackoff | null;
+  /**
+   * - number of characters after which the connection is transparently cycled
+   */
+  maxResponseSize: number | null;
+  /**
+   * - time in ms without receiving data after which the stream is considered stalled
+   */
+  idleTimeout: number | null;
+  idleTimer: number | null;
+  /**
+   * - called on 401/403 responses to get fresh headers to reconnect with
+   */
+  onAuthError: SSEAuthErrorHandler | null;
+  /**
+   * - decoder for the data of all events, or map of event types to decoders
+   */
+  decode: SSEDecode | null;
+  /**
+   * - called with each metric of the stream, for telemetry
+   */
+  onMetric: SSEMetricHandler | null;
+  /**
+   * - logger to send structured records to
+   */
+  logger: SSELogger | null;
+  /**
+   * - minimum level of the records to log
+   */
+  logLevel: SSELogLevel;
+  /**
+   * - names of the request headers to mask in the records
+   */
+  redactHeaders: string[];
+  /**
+   * - signal closing the stream when aborted
+   */
+  signal: AbortSignal | null;
+  /**
+   * - share the stream with the other tabs of the same origin
+   */
+  crossTab: SSECrossTabOptions | null;
+  /**
+   * - whether this tab holds the connection of a cross-tab stream
+   */
+  isLeader: boolean;
+  /**
+   * - storage to save and restore the last event ID with
+   */
+  persistence: SSEPersistence | null;
+  /**
+   * - suppress events whose ID was already seen
+   */
+  dedupe: SSEDedupeOptions | null;
+  /**
+   * - dispatch the events received from the stream in batches
+   */
+  batch: SSEBatchOptions | null;
+  /**
+   * - event types, or key function, of the queued events to only keep the latest of
+   */
+  coalesce: string[] | SSECoalesceKey | null;
+  /**
+   * - suspend reconnection while the network is offline
+   */
+  pauseWhenOffline: boolean;
+  /**
+   * - close the stream while the page is hidden, after the given delay in ms
+   */
+  pauseWhenHidden: number | null;
+  /**
+   * - why the stream is paused, if it is
+   */
+  paused: SSEPauseReason | null;
   /**
    * - maximum number of reconnect attempts
    */
@@ -40,10 +124,19 @@ export type SSE = {
    * - flag, if Last-Event-ID header should be sent
    */
   useLastEventId: boolean;
+  /**
+   * - transport to use for the connection
+   */
+  transport: SSETransportName | SSETransportFactory | null;
+  /**
+   * - additional, transport-specific options
+   */
+  transportOptions: Record<string, any>;
   reconnectTimer: number | null;
   retryCount: number;
   FIELD_SEPARATOR: string;
   listeners: Record<string, Function[]>;
+  connection: SSEConnection | null;
   xhr: XMLHttpRequest | null;
   readyState: number;
   progress: number;
@@ -53,11 +146,29 @@ export type SSE = {
   CONNECTING: 0;
   OPEN: 1;
   CLOSED: 2;
+  transports: Record<string, SSETransportFactory>;
+  storages: Record<string, SSEPersistenceStorage>;
+  /**
+   * - pool used by SSE.shared()
+   */
+  pool: SSEPool;
+  shared: Subscribe;
+  /**
+   * - standards-compliant EventSource built on SSE in strict mode
+   */
+  EventSource: SSEEventSource;
+  polyfill: Polyfill;
   addEventListener: AddEventListener;
   removeEventListener: RemoveEventListener;
   dispatchEvent: DispatchEvent;
   stream: Stream;
   close: Close;
+  events: Events;
+  stats: Stats;
+  ready: Ready;
+  once: Once;
+  readonly closed: Promise<void>;
+  [Symbol.asyncIterator](): AsyncIterableIterator<SSEvent>;
   onmessage: OnMessage;
   onopen: OnOpen;
   onload: OnLoad;
@@ -69,15 +180,32 @@ export type SSEHeaders = {
   [key: string]: string;
 };
 export type SSEPayload = Blob | ArrayBuffer | DataView | FormData | URLSearchParams | string | null;
+export type SSEConnectContext = {
+  /**
+   * - 0 for the initial connection, then the reconnection attempt number
+   */
+  attempt: number;
+  /**
+   * - the last seen event ID
+   */
+  lastEventId: string;
+};
+/**
+ * A value, or a function evaluated before each connection attempt that
+ * returns the value or a promise of it.
+ */
+export type SSEDynamic<T> =
+  | T
+  | ((context: SSEConnectContext) => T | Promise<T>);
 export type SSEOptions = {
   /**
    * - headers
    */
-  headers?: SSEHeaders;
+  headers?: SSEDynamic<SSEHeaders>;
   /**
    * - payload
    */
-  payload?: SSEPayload;
+  payload?: SSEDynamic<SSEPayload>;
   /**
    * - HTTP Method
    */
@@ -94,6 +222,10 @@ export type SSEOptions = {
    * - debugging flag
    */
   debug?: boolean;
+  /**
+   * - follow the WHATWG EventSource semantics exactly
+   */
+  strict?: boolean;
   /**
    * - flag, if connection should auto-reconnect on disconnect/error
    */
@@ -110,25 +242,692 @@ export type SSEOptions = {
    * - flag, if Last-Event-ID header should be sent
    */
   useLastEventId?: boolean;
+  /**
+   * - transport to use for the connection
+   */
+  transport?: SSETransportName | SSETransportFactory;
+  /**
+   * - additional, transport-specific options
+   */
+  transportOptions?: Record<string, any>;
+  /**
+   * - exponential backoff policy for reconnection attempts
+   */
+  backoff?: SSEBackoff;
+  /**
+   * - number of characters after which the connection is transparently cycled
+   */
+  maxResponseSize?: number | null;
+  /**
+   * - time in ms without receiving data after which the stream is considered stalled
+   */
+  idleTimeout?: number | null;
+  /**
+   * - called on 401/403 responses to get fresh headers to reconnect with
+   */
+  onAuthError?: SSEAuthErrorHandler;
+  /**
+   * - decoder for the data of all events, or map of event types to decoders
+   */
+  decode?: SSEDecode;
+  /**
+   * - signal closing the stream when aborted
+   */
+  signal?: AbortSignal;
+  /**
+   * - share the stream with the other tabs of the same origin
+   */
+  crossTab?: boolean | SSECrossTabOptions;
+  /**
+   * - storage to save and restore the last event ID with
+   */
+  persistence?: SSEStorageName | SSEPersistenceStorage | SSEPersistenceOptions;
+  /**
+   * - suppress events whose ID was already seen
+   */
+  dedupe?: boolean | SSEDedupeOptions;
+  /**
+   * - suspend reconnection while the network is offline
+   */
+  pauseWhenOffline?: boolean;
+  /**
+   * - close the stream while the page is hidden, after the given delay in ms
+   */
+  pauseWhenHidden?: boolean | number;
+  /**
+   * - dispatch the events received from the stream in batches
+   */
+  batch?: boolean | SSEBatchOptions;
+  /**
+   * - event types, or key function, of the queued events to only keep the latest of
+   */
+  coalesce?: string[] | SSECoalesceKey;
+  /**
+   * - called with each metric of the stream, for telemetry
+   */
+  onMetric?: SSEMetricHandler;
+  /**
+   * - logger to send structured records to, console when debug is set
+   */
+  logger?: SSELogger;
+  /**
+   * - minimum level of the records to log, "info" by default
+   */
+  logLevel?: SSELogLevel;
+  /**
+   * - names of the request headers to mask in the records
+   */
+  redactHeaders?: string[];
+};
+export type SSELogger = {
+  debug: (message: string, record: SSELogRecord) => void;
+  info: (message: string, record: SSELogRecord) => void;
+  warn: (message: string, record: SSELogRecord) => void;
+  error: (message: string, record: SSELogRecord) => void;
+};
+export type SSELogLevel = "debug" | "info" | "warn" | "error" | "silent";
+export type SSELogRecord = {
+  /**
+   * - identifier of the current, or last, connection
+   */
+  connectionId: number | null;
+  /**
+   * - URL of the stream
+   */
+  url: string | null;
+  /**
+   * - number of the current reconnection attempt
+   */
+  attempt: number;
+  /**
+   * - the ready state of the stream
+   */
+  readyState: number;
+  /**
+   * - type of the dispatched event
+   */
+  eventType?: string;
+  /**
+   * - number of bytes received
+   */
+  bytes?: number;
+  [field: string]: any;
+};
+export type SSEMetricHandler = (
+  name: "bytes" | "event" | "open" | "reconnect",
+  value: number,
+  attributes: Record<string, any>
+) => void;
+export type SSECloseReason = "error" | "timeout" | "end" | "abort";
+export type SSEStats = {
+  /**
+   * - the current ready state
+   */
+  readyState: number;
+  /**
+   * - number of bytes received from the stream
+   */
+  bytesReceived: number;
+  /**
+   * - number of events dispatched, by type
+   */
+  eventsDispatched: Record<string, number>;
+  /**
+   * - time in ms it took to open the last connection
+   */
+  timeToOpen: number | null;
+  /**
+   * - time in ms since data was last received
+   */
+  timeSinceLastByte: number | null;
+  /**
+   * - number of consecutive reconnection attempts
+   */
+  retryCount: number;
+  /**
+   * - total number of reconnection attempts
+   */
+  reconnectAttempts: number;
+  /**
+   * - number of reconnections, by reason
+   */
+  reconnectReasons: Record<string, number>;
+  /**
+   * - reason of the last reconnection
+   */
+  lastReconnectReason: SSECloseReason | null;
+  /**
+   * - delay in ms before the last reconnection attempt
+   */
+  backoffDelay: number | null;
 };
+export type SSECoalesceKey = (event: SSEvent) => string | null | undefined;
+export type SSEBatchOptions = {
+  /**
+   * - when to dispatch the next batch, defaults to "animationFrame"
+   */
+  schedule?: "animationFrame" | "microtask" | number;
+  /**
+   * - maximum number of events per batch, unbounded by default
+   */
+  maxSize?: number;
+  /**
+   * - dispatch the events to their listeners, or as a single `batch` event, defaults to "events"
+   */
+  mode?: "events" | "batch";
+};
+export type SSEPauseReason = "offline" | "hidden";
+export type SSEDedupeOptions = {
+  /**
+   * - number of IDs to remember, defaults to 1000, or unbounded with a window
+   */
+  maxSize?: number;
+  /**
+   * - time in ms during which IDs are remembered, defaults to no limit
+   */
+  window?: number | null;
+};
+export type SSEStorageName = "localStorage" | "sessionStorage" | "indexedDB";
+export type SSEPersistenceStorage = {
+  /**
+   * - read the saved ID
+   */
+  get: (
+    key: string
+  ) => string | null | undefined | Promise<string | null | undefined>;
+  /**
+   * - save the ID
+   */
+  set: (key: string, value: string) => void | Promise<void>;
+};
+export type SSEPersistenceOptions = {
+  /**
+   * - storage to use
+   */
+  storage: SSEStorageName | SSEPersistenceStorage;
+  /**
+   * - key to save the ID under, defaults to one derived from the url
+   */
+  key?: string;
+};
+export type SSEPersistence = {
+  storage: SSEPersistenceStorage;
+  key: string;
+};
+export type SSECrossTabOptions = {
+  /**
+   * - name of the BroadcastChannel, defaults to one derived from the url
+   */
+  channel?: string;
+  /**
+   * - time in ms between heartbeats of the leader tab, defaults to 1000
+   */
+  heartbeatInterval?: number;
+  /**
+   * - time in ms without heartbeats after which another tab takes over, defaults to 3000
+   */
+  leaderTimeout?: number;
+};
+export type SSEListenerOptions = {
+  /**
+   * - signal removing the listener when aborted
+   */
+  signal?: AbortSignal;
+};
+export type SSEDecoderFunction = (data: string, event: SSEvent) => any;
+export type SSEDecoder = "json" | SSEDecoderFunction;
+export type SSEDecode = SSEDecoder | Record<string, SSEDecoder>;
+export type SSEAuthErrorHandler = (
+  event: SSEvent
+) => SSEHeaders | Promise<SSEHeaders>;
+export type SSEBackoff = {
+  /**
+   * - base delay in ms, defaults to reconnectDelay
+   */
+  initialDelay?: number;
+  /**
+   * - factor applied to the delay on each attempt, defaults to 2
+   */
+  multiplier?: number;
+  /**
+   * - maximum delay in ms, defaults to 30000
+   */
+  maxDelay?: number;
+  /**
+   * - jitter strategy, defaults to "full"
+   */
+  jitter?: "none" | "full" | "equal" | "decorrelated";
+};
+export type SSEEventsOptions = {
+  /**
+   * - event types to iterate over, defaults to `["message"]`
+   */
+  types?: string[];
+  /**
+   * - maximum number of queued events, unbounded by default
+   */
+  highWaterMark?: number;
+  /**
+   * - what to do when the queue is full
+   */
+  overflow?: "drop-oldest" | "drop-newest" | "error";
+};
+export type SSEReadyResult = {
+  /**
+   * - the response status code
+   */
+  responseCode: number;
+  /**
+   * - the response headers
+   */
+  headers: Record<string, string[]>;
+};
+export type SSEOnceOptions = {
+  /**
+   * - time in ms after which the promise is rejected
+   */
+  timeout?: number;
+};
+export type SSEPoolOptions = {
+  /**
+   * - time in ms to keep a stream open after its last subscriber left
+   */
+  gracePeriod?: number;
+};
+export type SSEPoolEntry = {
+  /**
+   * - the shared stream
+   */
+  source: SSE;
+  /**
+   * - number of active subscribers
+   */
+  subscribers: number;
+  /**
+   * - timer closing the stream after the grace period
+   */
+  closeTimer: number | null;
+};
+export type SSESubscription = {
+  /**
+   * - the shared stream
+   */
+  source: SSE;
+  addEventListener: AddEventListener;
+  removeEventListener: RemoveEventListener;
+  /**
+   * - remove this subscriber's listeners and release the stream
+   */
+  unsubscribe: () => void;
+};
+export type SSEEventSourceInit = {
+  /**
+   * - flag, if credentials needed
+   */
+  withCredentials?: boolean;
+};
+export type SSEPolyfillOptions = {
+  /**
+   * - replace the native EventSource, if any
+   */
+  force?: boolean;
+};
+export type SSEEventSource = {
+  /** Constructor. */
+  new (url: string | URL, eventSourceInitDict?: SSEEventSourceInit): SSE;
+  CONNECTING: 0;
+  OPEN: 1;
+  CLOSED: 2;
+};
+export type SSEPool = {
+  /** Constructor. */
+  new (options?: SSEPoolOptions): SSEPool;
+
+  gracePeriod: number;
+  entries: Record<string, SSEPoolEntry>;
+  subscribe: Subscribe;
+};
+export type SSEParserOptions = {
+  /**
+   * - called with each event parsed from the stream
+   */
+  onEvent?: SSEParsedEventHandler;
+  /**
+   * - called with each reconnection time received, in ms
+   */
+  onRetry?: (delay: number) => void;
+  /**
+   * - called when the last event ID changes
+   */
+  onLastEventId?: (lastEventId: string) => void;
+  /**
+   * - last event ID to start from
+   */
+  lastEventId?: string;
+  /**
+   * - dispatch an incomplete event at the end of the stream, instead of discarding it
+   */
+  dispatchIncomplete?: boolean;
+};
+export type SSEParsedEvent = {
+  /**
+   * - type of the event, "message" by default
+   */
+  type: string;
+  /**
+   * - data of the event
+   */
+  data: string;
+  /**
+   * - ID of the event, if it has one
+   */
+  id: string | null;
+  /**
+   * - last event ID of the stream, as of this event
+   */
+  lastEventId: string;
+  /**
+   * - reconnection time set by the event, in ms
+   */
+  retry: number | null;
+  /**
+   * - text of the event, as received
+   */
+  raw: string;
+};
+export type SSEParsedEventHandler = (event: SSEParsedEvent) => void;
+export type SSEParser = {
+  /** Constructor. */
+  new (options?: SSEParserOptions): SSEParser;
+
+  onEvent: SSEParsedEventHandler | null;
+  onRetry: ((delay: number) => void) | null;
+  onLastEventId: ((lastEventId: string) => void) | null;
+  dispatchIncomplete: boolean;
+  lastEventId: string;
+  buffer: string;
+  feed: Feed;
+  end: End;
+  reset: Reset;
+  parse: Parse;
+  transformStream: TransformStreamFactory;
+};
+export type SSEWriterEvent = {
+  /**
+   * - ID of the event
+   */
+  id?: string | number;
+  /**
+   * - type of the event
+   */
+  event?: string;
+  /**
+   * - data of the event, serialized to JSON if it isn't a string
+   */
+  data?: any;
+  /**
+   * - reconnection time to set, in ms
+   */
+  retry?: number;
+};
+export type SSEWriterOptions = {
+  /**
+   * - interval between heartbeat comments, in ms
+   */
+  heartbeat?: number;
+};
+export type SSEWriterResponse = {
+  write: (chunk: string) => boolean;
+  end: () => void;
+  setHeader?: (name: string, value: string) => void;
+  headersSent?: boolean;
+  on?: (event: "close", listener: () => void) => void;
+};
+export type SSEWriterTarget = SSEWriterResponse | WritableStream<Uint8Array>;
+export type SSEWriter = {
+  /** Constructor. */
+  new (target: SSEWriterTarget, options?: SSEWriterOptions): SSEWriter;
+
+  target: SSEWriterTarget;
+  closed: boolean;
+  send: Send;
+  comment: Comment;
+  close: Close;
+};
+export type SSETraceRecord = {
+  /**
+   * - what the transport reported
+   */
+  type: "response" | "data" | "end" | "error" | "abort";
+  /**
+   * - time since the start of the connection, in ms
+   */
+  time: number;
+  /**
+   * - status code of a response or error
+   */
+  responseCode?: number;
+  /**
+   * - headers of a response
+   */
+  headers?: {
+    [x: string]: string[];
+  };
+  /**
+   * - chunk of data, or data of an error
+   */
+  data?: any;
+};
+export type SSETraceConnection = {
+  /**
+   * - time since the start of the recording, in ms
+   */
+  time: number;
+  /**
+   * - the request made
+   */
+  request: {
+    url: string;
+    method: string;
+    headers: {
+      [x: string]: string[];
+    };
+  };
+  /**
+   * - what the transport reported for this connection
+   */
+  records: SSETraceRecord[];
+};
+export type SSETraceReadyState = {
+  /**
+   * - time since the start of the recording, in ms
+   */
+  time: number;
+  /**
+   * - the new ready state
+   */
+  readyState: number;
+};
+export type SSETrace = {
+  /**
+   * - version of the trace format
+   */
+  version: 1;
+  /**
+   * - URL of the recorded stream
+   */
+  url: string;
+  /**
+   * - start time of the recording, in ms since the epoch
+   */
+  startedAt: number;
+  /**
+   * - connections made, in order
+   */
+  connections: SSETraceConnection[];
+  /**
+   * - ready state changes of the stream
+   */
+  readyStates: SSETraceReadyState[];
+};
+export type SSEReplayOptions = {
+  /**
+   * - replay the records with the timing they were recorded with
+   */
+  realtime?: boolean;
+};
+export type SSERecorder = {
+  /** Constructor. */
+  new (sse: SSE): SSERecorder;
+
+  sse: SSE;
+  startedAt: number;
+  connections: SSETraceConnection[];
+  readyStates: SSETraceReadyState[];
+  recording: boolean;
+  trace: Trace;
+  toJSON: Trace;
+  stop: Stop;
+};
+export type SSETransportName = "xhr" | "fetch" | "node";
+export type SSETransportRequest = {
+  /**
+   * - URL to connect to
+   */
+  url: string;
+  /**
+   * - HTTP Method
+   */
+  method: string;
+  /**
+   * - request headers, including Last-Event-ID
+   */
+  headers: SSEHeaders;
+  /**
+   * - payload
+   */
+  payload: SSEPayload;
+  /**
+   * - flag, if credentials needed
+   */
+  withCredentials: boolean;
+  /**
+   * - the transport options
+   */
+  options: Record<string, any>;
+};
+export type SSETransportHandlers = {
+  /**
+   * - response headers were received
+   */
+  onResponse: (responseCode: number, headers: Record<string, string[]>) => void;
+  /**
+   * - a chunk of the response body was received
+   */
+  onData: (data: string) => void;
+  /**
+   * - the response body was fully received
+   */
+  onEnd: () => void;
+  /**
+   * - the request failed
+   */
+  onError: (responseCode: number, data: any) => void;
+  /**
+   * - the request was aborted; `final` when no further request can be made, and the stream must not reconnect
+   */
+  onAbort: (final?: boolean) => void;
+};
+export type SSEConnection = {
+  /**
+   * - abort the request
+   */
+  abort: () => void;
+  /**
+   * - the underlying XMLHttpRequest, if any
+   */
+  xhr?: XMLHttpRequest;
+};
+export type SSETransportFactory = (
+  request: SSETransportRequest,
+  handlers: SSETransportHandlers
+) => SSEConnection;
 export type _SSEvent = {
   id: string;
   data: any;
+  parsed?: any;
   source?: SSE;
   responseCode?: number;
   lastEventId?: string;
   headers?: Record<string, string[]>;
 };
+export type _ReconnectingEvent = {
+  delay: number;
+  attempt: number;
+};
+export type _TimeoutEvent = {
+  idleTimeout: number;
+};
+export type _LeaderChangeEvent = {
+  leader: boolean;
+};
+export type _DuplicateEvent = {
+  eventType: string;
+};
+export type _PauseEvent = {
+  reason: SSEPauseReason;
+};
+export type _BatchEvent = {
+  events: SSEvent[];
+};
+export type _ParseErrorEvent = {
+  eventType: string;
+  chunk: string;
+  error: any;
+};
 export type _ReadyStateEvent = {
   readyState: number;
 };
 export type SSEvent = Event & _SSEvent;
 export type ReadyStateEvent = SSEvent & _ReadyStateEvent;
-export type AddEventListener = (type: string, listener: Function) => void;
+export type ReconnectingEvent = SSEvent & _ReconnectingEvent;
+export type TimeoutEvent = SSEvent & _TimeoutEvent;
+export type ParseErrorEvent = SSEvent & _ParseErrorEvent;
+export type LeaderChangeEvent = SSEvent & _LeaderChangeEvent;
+export type DuplicateEvent = SSEvent & _DuplicateEvent;
+export type PauseEvent = SSEvent & _PauseEvent;
+export type BatchEvent = SSEvent & _BatchEvent;
+export type AddEventListener = (
+  type: string,
+  listener: Function,
+  options?: SSEListenerOptions | boolean
+) => void;
 export type RemoveEventListener = (type: string, listener: Function) => void;
 export type DispatchEvent = (e: CustomEvent | null) => boolean;
 export type Stream = () => void;
 export type Close = () => void;
+export type Events = (
+  options?: SSEEventsOptions
+) => AsyncIterableIterator<SSEvent>;
+export type Stats = () => SSEStats;
+export type Ready = () => Promise<SSEReadyResult>;
+export type Once = (type: string, options?: SSEOnceOptions) => Promise<SSEvent>;
+export type Feed = (chunk: string | BufferSource) => void;
+export type End = () => void;
+export type Reset = () => void;
+export type Parse = (text: string) => SSEParsedEvent | null;
+export type TransformStreamFactory = (
+  options?: SSEParserOptions
+) => TransformStream<string | BufferSource, SSEParsedEvent>;
+export type Send = (event: SSEWriterEvent) => boolean | Promise<void>;
+export type Comment = (comment?: string) => boolean | Promise<void>;
+export type Trace = () => SSETrace;
+export type Stop = () => void;
+export type Polyfill = (options?: SSEPolyfillOptions) => SSEEventSource;
+export type Subscribe = (
+  url: SSEDynamic<string>,
+  options?: SSEOptions
+) => SSESubscription;
 export type OnMessage = (event: SSEvent) => void;
 export type OnOpen = (event: SSEvent) => void;
 export type OnLoad = (event: SSEvent) => void;
@@ -161,4 +960,61 @@ export type OnAbort = (event: SSEvent) => void;
  * @return {SSE}
  */
 export var SSE: SSE;
+/**
+ * @type SSEPool
+ * @param {SSEPoolOptions} [options]
+ * @return {SSEPool}
+ */
+export var SSEPool: SSEPool;
+/**
+ * @type SSEParser
+ * @param {SSEParserOptions} [options]
+ * @return {SSEParser}
+ */
+export var SSEParser: SSEParser;
+/**
+ * Format an event for an event stream. Multi-line data is sent as multiple
+ * data fields; data that isn't a string is serialized to JSON.
+ *
+ * @param {SSEWriterEvent} event
+ * @return {string}
+ */
+export function formatEvent(event: SSEWriterEvent): string;
+/**
+ * Format a comment for an event stream. Comments are ignored by clients,
+ * which makes them useful as heartbeats.
+ *
+ * @param {string} [comment]
+ * @return {string}
+ */
+export function formatComment(comment?: string): string;
+/**
+ * @type SSEWriter
+ * @param {SSEWriterTarget} target
+ * @param {SSEWriterOptions} [options]
+ * @return {SSEWriter}
+ */
+export var SSEWriter: SSEWriter;
+/**
+ * @type SSERecorder
+ * @param {SSE} sse
+ * @return {SSERecorder}
+ */
+export var SSERecorder: SSERecorder;
+/**
+ * Create a transport replaying a trace recorded by SSERecorder. Each
+ * connection SSE opens replays the next connection of the trace, with its
+ * response, chunks and outcome; once they are exhausted, connections fail.
+ * The records are delivered all at once, or with the timing they were
+ * recorded with if the `realtime` option is set. Connections that were
+ * aborted stay open after their last chunk, until SSE aborts them.
+ *
+ * @param {SSETrace} trace
+ * @param {SSEReplayOptions} [options]
+ * @return {SSETransportFactory}
+ */
+export function createReplayTransport(
+  trace: SSETrace,
+  options?: SSEReplayOptions
+): SSETransportFactory;
 //# sourceMappingURL=sse.d.ts.map
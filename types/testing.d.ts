@@ -0,0 +1,86 @@
+import type {
+  SSE,
+  SSEOptions,
+  SSEWriterEvent,
+  SSETransportRequest,
+  SSETransportHandlers,
+  SSETransportFactory,
+} from "./sse";
+
+export type Respond = (
+  responseCode?: number,
+  headers?: {
+    [x: string]: string | string[];
+  },
+  body?: any
+) => void;
+export type Push = (chunk: string) => void;
+export type MockSend = (event: SSEWriterEvent) => void;
+export type End = () => void;
+export type Fail = (error?: any) => void;
+export type MockConnection = {
+  /** Constructor. */
+  new (
+    request: SSETransportRequest,
+    handlers: SSETransportHandlers
+  ): MockConnection;
+
+  request: SSETransportRequest;
+  handlers: SSETransportHandlers;
+  responded: boolean;
+  finished: boolean;
+  aborted: boolean;
+  respond: Respond;
+  push: Push;
+  send: MockSend;
+  end: End;
+  fail: Fail;
+  abort: End;
+};
+export type MockTransport = {
+  /** Constructor. */
+  new (): MockTransport;
+
+  connections: MockConnection[];
+  connection: MockConnection | null;
+  transport: SSETransportFactory;
+};
+export type MockSSE = {
+  sse: SSE;
+  transport: MockTransport;
+  /**
+   * - the last connection opened, if any
+   */
+  connection: MockConnection | null;
+  /**
+   * - make the scheduled reconnection attempt now; false if none is scheduled
+   */
+  reconnect: () => boolean;
+  /**
+   * - detect a stalled stream now; false if not connected
+   */
+  stall: () => boolean;
+};
+/**
+ * @type MockConnection
+ * @param {SSETransportRequest} request
+ * @param {SSETransportHandlers} handlers
+ * @return {MockConnection}
+ */
+export var MockConnection: MockConnection;
+/**
+ * @type MockTransport
+ * @return {MockTransport}
+ */
+export var MockTransport: MockTransport;
+/**
+ * Create an SSE instance connected through a new MockTransport. Timers are
+ * under the control of the test: reconnect() makes the scheduled
+ * reconnection attempt immediately, and stall() detects a stalled stream
+ * as if the idle timeout had expired.
+ *
+ * @param {string} url
+ * @param {SSEOptions} [options]
+ * @return {MockSSE}
+ */
+export function createMockSSE(url: string, options?: SSEOptions): MockSSE;